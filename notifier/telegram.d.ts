@@ -0,0 +1,10 @@
+export interface TelegramOptions {
+  botToken?: string;
+  chatId?: string;
+  enabled?: boolean;
+  timeoutMs?: number;
+  maxRetry?: number;
+}
+
+/** Send a Markdown message; never throws, gives up after maxRetry retries */
+export function sendTelegram(message: string, config?: TelegramOptions): Promise<void>;
@@ -0,0 +1,67 @@
+
+import * as fs from 'fs';
+import * as path from 'path';
+import { DripConfig } from './types';
+import { DATA_DIR } from './utils';
+import { writeFileAtomic } from './state';
+
+// Loss budgets (DRIP_MAX_LOSS_*) measure the realized USDC loss of round trips: BUY
+// cost minus SELL proceeds, so slippage, swap fees and price moves during the hold
+// all count; SOL network fees do not. A gain offsets earlier losses.
+// The run's total is persisted in state.lossUsdc, the day's in data/loss_<wallet>.json.
+
+interface DayLoss {
+    day: string;      // UTC date, YYYY-MM-DD
+    lossUsdc: number;
+}
+
+function dayFile(owner: string): string {
+    return path.join(DATA_DIR, `loss_${owner}.json`);
+}
+
+function today(now: number = Date.now()): string {
+    return new Date(now).toISOString().slice(0, 10);
+}
+
+// Loss this wallet realized today, across runs
+export function readDayLoss(owner: string): number {
+    const file = dayFile(owner);
+    if (!fs.existsSync(file)) return 0;
+    let data: DayLoss;
+    try {
+        data = JSON.parse(fs.readFileSync(file, 'utf-8'));
+    } catch (e: any) {
+        // A safety limit: refuse to run rather than forget what was lost today
+        throw new Error(`Cannot read loss budget file ${file}: ${e.message}`);
+    }
+    return data.day === today() ? data.lossUsdc : 0;
+}
+
+export function addDayLoss(owner: string, lossUsdc: number): number {
+    const total = readDayLoss(owner) + lossUsdc;
+    if (!fs.existsSync(DATA_DIR)) {
+        fs.mkdirSync(DATA_DIR, { recursive: true });
+    }
+    writeFileAtomic(dayFile(owner), JSON.stringify({ day: today(), lossUsdc: total } as DayLoss, null, 2));
+    return total;
+}
+
+// Loss of one round trip in bps of its cost; negative for a gain
+export function cycleLossBps(costRaw: bigint, proceedsRaw: bigint): number {
+    return costRaw > 0n ? Number((costRaw - proceedsRaw) * 10_000n) / Number(costRaw) : 0;
+}
+
+// The first budget used up, as the reason shown in logs, summary and notification; null if none
+export function exceededBudget(config: DripConfig, runLoss: number, dayLoss: number, lastCycleBps?: number): string | null {
+    const { runUsdc, dayUsdc, cycleBps } = config.lossBudget;
+    if (cycleBps !== null && lastCycleBps !== undefined && lastCycleBps > cycleBps) {
+        return `round trip lost ${lastCycleBps.toFixed(1)}bps > ${cycleBps}bps per cycle`;
+    }
+    if (runUsdc !== null && runLoss >= runUsdc) {
+        return `run loss ${runLoss.toFixed(4)} USDC reached budget ${runUsdc} USDC`;
+    }
+    if (dayUsdc !== null && dayLoss >= dayUsdc) {
+        return `today's loss ${dayLoss.toFixed(4)} USDC reached budget ${dayUsdc} USDC`;
+    }
+    return null;
+}
@@ -1,6 +1,10 @@
 
 import * as dotenv from 'dotenv';
-import { DripConfig, Route } from './types';
+import { DripConfig, DripMode, HoldPolicy, GasTopUp, LossBudget, PriorityFeeConfig, RetryConfig, Route, TelegramConfig, TokenSpec } from './types';
+import { randomSeed } from './rng';
+import { parsePacingProfile } from './pacing';
+import { DRIP_MODES } from './strategies';
+import * as utils from './utils';
 
 dotenv.config();
 
@@ -13,21 +17,64 @@ const KNOWN_MINTS: Record<string, string> = {
     'BONK': 'DezXAZ8z7PnrnRJjz3wXBoRgixCa6xjnB7YaB1pPB263'
 };
 
-function parseRoutes(envRoutes: string | undefined, envJson: string | undefined): Route[] {
+// DRIP_HOLD_* (global) or a route's "hold" object in DRIP_ROUTES_JSON; no max hold = no holding
+function parseHold(source: Record<string, any>, base: HoldPolicy | null, where: string): HoldPolicy | null {
+    const num = (key: string, fallback: number | null): number | null => {
+        if (source[key] === undefined || source[key] === '') return fallback;
+        const n = Number(source[key]);
+        if (!Number.isFinite(n) || n < 0) throw new Error(`Invalid ${key} in ${where}: ${source[key]}`);
+        return n;
+    };
+    const maxSec = num('maxSec', base?.maxSec ?? null);
+    if (maxSec === null) return null;
+    const policy: HoldPolicy = {
+        minSec: num('minSec', base?.minSec ?? 0)!,
+        maxSec,
+        takeProfitBps: num('takeProfitBps', base?.takeProfitBps ?? null),
+        stopLossBps: num('stopLossBps', base?.stopLossBps ?? null),
+        pollSec: num('pollSec', base?.pollSec ?? 15)!
+    };
+    if (policy.minSec > policy.maxSec) {
+        throw new Error(`Invalid hold in ${where}: minSec ${policy.minSec} > maxSec ${policy.maxSec}`);
+    }
+    return policy;
+}
+
+function parseGlobalHold(): HoldPolicy | null {
+    return parseHold({
+        minSec: process.env.DRIP_HOLD_MIN_SEC,
+        maxSec: process.env.DRIP_HOLD_MAX_SEC,
+        takeProfitBps: process.env.DRIP_TAKE_PROFIT_BPS,
+        stopLossBps: process.env.DRIP_STOP_LOSS_BPS,
+        pollSec: process.env.DRIP_HOLD_POLL_SEC
+    }, null, 'DRIP_HOLD_*');
+}
+
+function parseRouteHold(r: any, globalHold: HoldPolicy | null): HoldPolicy {
+    const policy = parseHold(r.hold, globalHold, `route ${r.name}`);
+    if (!policy) throw new Error(`Invalid hold for route ${r.name}: maxSec is required`);
+    return policy;
+}
+
+function parseRoutes(envRoutes: string | undefined, envJson: string | undefined, tokens: TokenSpec[]): Route[] {
     // 1. Try JSON first
     if (envJson) {
+        let parsed: any = null;
         try {
-            const parsed = JSON.parse(envJson);
-            if (Array.isArray(parsed) && parsed.length > 0) {
-                return parsed.map((r: any) => ({
-                    name: r.name || 'Unknown-Pair',
-                    tokenMint: r.tokenMint,
-                    usdcMint: r.usdcMint || KNOWN_MINTS['USDC']
-                }));
-            }
+            parsed = JSON.parse(envJson);
         } catch (e) {
             console.warn('[CONFIG] Failed to parse DRIP_ROUTES_JSON, falling back to string list.');
         }
+        if (Array.isArray(parsed) && parsed.length > 0) {
+            const globalHold = parseGlobalHold();
+            return parsed.map((r: any) => ({
+                name: r.name || 'Unknown-Pair',
+                tokenMint: r.tokenMint,
+                usdcMint: r.usdcMint || KNOWN_MINTS['USDC'],
+                // "hold": null turns holding off for this route; an object overrides DRIP_HOLD_* field by field
+                ...(r.hold === null ? { hold: null } : r.hold ? { hold: parseRouteHold(r, globalHold) } : {})
+            }));
+        }
     }
 
     // 2. Fallback to string list
@@ -59,10 +106,11 @@ function parseRoutes(envRoutes: string | undefined, envJson: string | undefined)
             continue;
         }
 
-        const mint = KNOWN_MINTS[tokenSymbol];
+        // Only what the config itself says, never data/tokens.json: the same env must
+        // name the same mints on every machine. The registry then verifies them.
+        const mint = KNOWN_MINTS[tokenSymbol] || configuredMint(tokens, tokenSymbol);
         if (!mint) {
-            console.warn(`[CONFIG] Unknown mint for symbol ${tokenSymbol} in pair ${pair}. Please use DRIP_ROUTES_JSON.`);
-            continue;
+            throw new Error(`Unknown mint for symbol ${tokenSymbol} in DRIP_ROUTES pair ${pair}. Give its mint in DRIP_ROUTES_JSON or DRIP_TOKENS_JSON.`);
         }
 
         routes.push({
@@ -75,26 +123,222 @@ function parseRoutes(envRoutes: string | undefined, envJson: string | undefined)
     return routes;
 }
 
+function parseMode(value: string | undefined): DripMode {
+    const mode = (value || 'multi_route').toLowerCase() as DripMode;
+    if (!DRIP_MODES.includes(mode)) {
+        throw new Error(`Invalid DRIP_MODE: ${value}. Use ${DRIP_MODES.join(', ')}.`);
+    }
+    return mode;
+}
+
+// DRIP_TOKENS_JSON: [{"mint":"...","decimals":9}, ...] as in the legacy anchor and tri-token modes
+function parseTokens(envJson: string | undefined): TokenSpec[] {
+    if (!envJson) return [];
+    let parsed: any;
+    try {
+        parsed = JSON.parse(envJson);
+    } catch (e) {
+        throw new Error('Invalid DRIP_TOKENS_JSON format');
+    }
+    if (!Array.isArray(parsed)) throw new Error('DRIP_TOKENS_JSON must be a JSON array');
+
+    const symbols = Object.fromEntries(Object.entries(KNOWN_MINTS).map(([symbol, mint]) => [mint, symbol]));
+    return parsed.map((t: any) => {
+        if (!t || typeof t.mint !== 'string' || !Number.isInteger(t.decimals) || t.decimals < 0) {
+            throw new Error(`Invalid token in DRIP_TOKENS_JSON: ${JSON.stringify(t)} (mint and integer decimals required)`);
+        }
+        // Swaps and balances of this mint use the configured decimals
+        utils.registerDecimals(t.mint, t.decimals);
+        return { mint: t.mint, decimals: t.decimals, symbol: t.symbol || symbols[t.mint] || t.mint.slice(0, 4) };
+    });
+}
+
+// Mint of a DRIP_TOKENS_JSON symbol; undefined if missing or ambiguous
+function configuredMint(tokens: TokenSpec[], symbol: string): string | undefined {
+    const mints = [...new Set(tokens.filter(t => t.symbol.toUpperCase() === symbol).map(t => t.mint))];
+    if (mints.length > 1) {
+        console.warn(`[CONFIG] Symbol ${symbol} matches ${mints.length} mints in DRIP_TOKENS_JSON (${mints.join(', ')}).`);
+        return undefined;
+    }
+    return mints[0];
+}
+
+// anchor_roundtrip trades USDC against every other token of the pool
+function anchorRoutes(tokens: TokenSpec[]): Route[] {
+    return tokens
+        .filter(t => t.mint !== KNOWN_MINTS['USDC'])
+        .map(t => ({ name: `${t.symbol}-USDC`, tokenMint: t.mint, usdcMint: KNOWN_MINTS['USDC'] }));
+}
+
+function parsePriorityFee(): PriorityFeeConfig {
+    const mode = (process.env.DRIP_PRIORITY_FEE_MODE || 'none').toLowerCase();
+    if (!['none', 'fixed', 'auto', 'percentile'].includes(mode)) {
+        throw new Error(`Invalid DRIP_PRIORITY_FEE_MODE: ${mode}. Use none, fixed, auto or percentile.`);
+    }
+    return {
+        mode: mode as PriorityFeeConfig['mode'],
+        microLamports: parseInt(process.env.DRIP_PRIORITY_FEE_MICROLAMPORTS || '10000', 10),
+        maxLamports: parseInt(process.env.DRIP_PRIORITY_FEE_MAX_LAMPORTS || '1000000', 10),
+        percentile: parseInt(process.env.DRIP_PRIORITY_FEE_PERCENTILE || '75', 10),
+        escalation: parseFloat(process.env.DRIP_PRIORITY_FEE_ESCALATION || '1.5')
+    };
+}
+
+// Buy defaults follow the legacy ANCHOR_RETRY_SLIPPAGE_BPS_STEP/MAX; sells step twice as hard
+function parseRetry(): RetryConfig {
+    const baseBps = parseInt(process.env.DRIP_SLIPPAGE_BPS || '100', 10);
+    const buyStep = parseInt(process.env.DRIP_BUY_SLIPPAGE_STEP_BPS || process.env.ANCHOR_RETRY_SLIPPAGE_BPS_STEP || '25', 10);
+    const buyMax = parseInt(process.env.DRIP_BUY_SLIPPAGE_MAX_BPS || process.env.ANCHOR_RETRY_SLIPPAGE_BPS_MAX || '200', 10);
+    return {
+        buy: { baseBps, stepBps: buyStep, maxBps: buyMax },
+        sell: {
+            baseBps,
+            stepBps: parseInt(process.env.DRIP_SELL_SLIPPAGE_STEP_BPS || String(buyStep * 2), 10),
+            maxBps: parseInt(process.env.DRIP_SELL_SLIPPAGE_MAX_BPS || String(buyMax * 2), 10)
+        },
+        backoffMaxSec: parseInt(process.env.DRIP_RETRY_BACKOFF_MAX_SEC || '300', 10)
+    };
+}
+
+function parseOptionalLimit(name: string): number | null {
+    const raw = process.env[name];
+    if (!raw) return null;
+    const value = parseFloat(raw);
+    if (!(value >= 0)) {
+        throw new Error(`Invalid ${name}: ${raw}. Use a non-negative number or leave it unset.`);
+    }
+    return value;
+}
+
+function parseLossBudget(): LossBudget {
+    return {
+        runUsdc: parseOptionalLimit('DRIP_MAX_LOSS_RUN_USDC'),
+        dayUsdc: parseOptionalLimit('DRIP_MAX_LOSS_DAY_USDC'),
+        cycleBps: parseOptionalLimit('DRIP_MAX_CYCLE_LOSS_BPS')
+    };
+}
+
+// Same variables as the legacy notifier; TG_ENABLED defaults to on but needs a token and chat
+function parseTelegram(): TelegramConfig | null {
+    if (process.env.TG_ENABLED === 'false') return null;
+    const botToken = process.env.TG_BOT_TOKEN;
+    const chatId = process.env.TG_CHAT_ID;
+    if (!botToken || !chatId) {
+        if (process.env.TG_ENABLED === 'true') {
+            console.warn('[WARN] TG_ENABLED=true but missing TG_BOT_TOKEN or TG_CHAT_ID. Notifications disabled.');
+        }
+        return null;
+    }
+    return {
+        botToken,
+        chatId,
+        timeoutMs: parseInt(process.env.TG_TIMEOUT_MS || '10000', 10),
+        maxRetry: parseInt(process.env.TG_MAX_RETRY || '3', 10)
+    };
+}
+
+function parseGasTopUp(): GasTopUp | null {
+    if (!process.env.DRIP_SOL_FLOOR) return null;
+    const floorSol = parseFloat(process.env.DRIP_SOL_FLOOR);
+    const targetSol = parseFloat(process.env.DRIP_SOL_TOPUP_TARGET || String(floorSol * 2));
+    const maxUsdc = parseFloat(process.env.DRIP_SOL_TOPUP_MAX_USDC || '5');
+    if (!(floorSol > 0) || !(targetSol > floorSol) || !(maxUsdc > 0)) {
+        throw new Error(`Invalid SOL top-up: DRIP_SOL_FLOOR=${process.env.DRIP_SOL_FLOOR} DRIP_SOL_TOPUP_TARGET=${targetSol} DRIP_SOL_TOPUP_MAX_USDC=${maxUsdc}. Need floor > 0, target > floor, max USDC > 0.`);
+    }
+    return { floorSol, targetSol, maxUsdc };
+}
+
+function parsePreflight(): DripConfig['preflight'] {
+    const mode = (process.env.DRIP_PREFLIGHT || 'scale').toLowerCase();
+    if (mode !== 'scale' && mode !== 'strict' && mode !== 'off') {
+        throw new Error(`Invalid DRIP_PREFLIGHT: ${mode}. Use scale, strict or off.`);
+    }
+    return mode;
+}
+
+function parseSeed(value: string): number {
+    const seed = Number(value);
+    if (!Number.isInteger(seed) || seed < 0 || seed > 0xFFFFFFFF) {
+        throw new Error(`Invalid DRIP_SEED: ${value}. Use an integer between 0 and 4294967295.`);
+    }
+    return seed;
+}
+
 export function loadConfig(): DripConfig {
-    const routes = parseRoutes(process.env.DRIP_ROUTES, process.env.DRIP_ROUTES_JSON);
+    const mode = parseMode(process.env.DRIP_MODE);
+    const tokens = parseTokens(process.env.DRIP_TOKENS_JSON);
+    const routes = mode === 'anchor_roundtrip'
+        ? anchorRoutes(tokens)
+        : parseRoutes(process.env.DRIP_ROUTES, process.env.DRIP_ROUTES_JSON, tokens);
 
-    if (routes.length === 0 && process.env.DRIP_MODE === 'multi_route') {
+    if (routes.length === 0 && mode === 'multi_route') {
         throw new Error('No valid routes found. Set DRIP_ROUTES or DRIP_ROUTES_JSON.');
     }
+    if (routes.length === 0 && mode === 'anchor_roundtrip') {
+        throw new Error('anchor_roundtrip needs DRIP_TOKENS_JSON with at least one non-USDC token.');
+    }
+    if (tokens.length < 3 && mode === 'tri_token') {
+        throw new Error('tri_token needs DRIP_TOKENS_JSON with at least 3 tokens (mint + decimals).');
+    }
+
+    const startDirection = (process.env.DRIP_START_DIRECTION || 'SOL_TO_USDC').toUpperCase();
+    if (startDirection !== 'SOL_TO_USDC' && startDirection !== 'USDC_TO_SOL') {
+        throw new Error(`Invalid DRIP_START_DIRECTION: ${startDirection}. Use SOL_TO_USDC or USDC_TO_SOL.`);
+    }
+
+    const triTokenFloor = parseFloat(process.env.DRIP_TRI_TOKEN_FLOOR || '0.5');
+    if (!(triTokenFloor >= 0 && triTokenFloor < 1)) {
+        throw new Error(`Invalid DRIP_TRI_TOKEN_FLOOR: ${process.env.DRIP_TRI_TOKEN_FLOOR}. Use a fraction in [0, 1).`);
+    }
+
+    const volumeTargetUsd = process.env.DRIP_VOLUME_TARGET_USD ? parseFloat(process.env.DRIP_VOLUME_TARGET_USD) : null;
+    if (volumeTargetUsd !== null && !(volumeTargetUsd > 0)) {
+        throw new Error(`Invalid DRIP_VOLUME_TARGET_USD: ${process.env.DRIP_VOLUME_TARGET_USD}. Use a positive USD amount.`);
+    }
+    const volumeTolerance = parseFloat(process.env.DRIP_VOLUME_TOLERANCE || '0.05');
+    if (!(volumeTolerance >= 0 && volumeTolerance < 1)) {
+        throw new Error(`Invalid DRIP_VOLUME_TOLERANCE: ${process.env.DRIP_VOLUME_TOLERANCE}. Use a fraction in [0, 1).`);
+    }
+
+    // The legacy anchor mode read its amounts from DRIP_AMOUNT_MIN/MAX_USDC
+    const anchor = mode === 'anchor_roundtrip';
+    const usdcMin = (anchor && process.env.DRIP_AMOUNT_MIN_USDC) || process.env.DRIP_USDC_MIN || '1';
+    const usdcMax = (anchor && process.env.DRIP_AMOUNT_MAX_USDC) || process.env.DRIP_USDC_MAX || '2';
 
     return {
+        mode,
         routes,
+        tokens,
+        startDirection,
+        triTokenFloor,
         totalTrades: parseInt(process.env.DRIP_TARGET_TRADES || process.env.DRIP_TRADES || '10', 10),
+        volumeTargetUsd,
+        volumeTolerance,
         windowSec: parseInt(process.env.DRIP_WINDOW_SEC || '3600', 10),
-        usdcMin: parseFloat(process.env.DRIP_USDC_MIN || '1'),
-        usdcMax: parseFloat(process.env.DRIP_USDC_MAX || '2'),
+        usdcMin: parseFloat(usdcMin),
+        usdcMax: parseFloat(usdcMax),
         dryRun: process.env.DRIP_DRY_RUN === 'true',
         minDelaySec: parseInt(process.env.DRIP_MIN_DELAY_SEC || '5', 10),
+        estimatedExecMs: parseInt(process.env.DRIP_EST_EXEC_MS || '45000', 10),
+        safetyFactor: parseFloat(process.env.DRIP_SAFETY_FACTOR || '0.85'),
+        adaptiveExec: process.env.DRIP_ADAPTIVE_EXEC !== 'false',
+        hold: parseGlobalHold(),
+        pacing: parsePacingProfile(process.env.DRIP_PACING_HOURS, process.env.DRIP_QUIET_WINDOWS, parseFloat(process.env.DRIP_PACING_UTC_OFFSET || '0')),
         failBackoffSec: parseInt(process.env.DRIP_FAIL_BACKOFF_SEC || '30', 10),
         rpcUrl: process.env.RPC_URL || 'https://api.mainnet-beta.solana.com',
         mnemonic: process.env.SOLANA_MNEMONIC || process.env.MNEMONIC || '',
         jupApiKey: process.env.JUP_API_KEY,
         maxBuyRetries: parseInt(process.env.DRIP_MAX_BUY_RETRIES || '3', 10),
-        maxSellRetries: parseInt(process.env.DRIP_MAX_SELL_RETRIES || '5', 10)
+        maxSellRetries: parseInt(process.env.DRIP_MAX_SELL_RETRIES || '5', 10),
+        resume: process.env.DRIP_RESUME === 'true',
+        priorityFee: parsePriorityFee(),
+        simulate: process.env.DRIP_SIMULATE === 'true',
+        retry: parseRetry(),
+        lossBudget: parseLossBudget(),
+        solBufferSol: parseOptionalLimit('DRIP_SOL_BUFFER') ?? 0.01,
+        gasTopUp: parseGasTopUp(),
+        preflight: parsePreflight(),
+        telegram: parseTelegram(),
+        seed: process.env.DRIP_SEED ? parseSeed(process.env.DRIP_SEED) : randomSeed()
     };
 }
@@ -1,12 +1,54 @@
 
 import { Connection, Keypair } from '@solana/web3.js';
-import { DripConfig, DripState, CycleState, Route } from './types';
+import { DripConfig, DripState, CycleState, LegDraft, PendingTx, Route, WalletRunResult } from './types';
 import * as jupiter from './jupiter';
 import * as wallet from './wallet';
 import * as scheduler from './scheduler';
 import * as stateMgr from './state';
 import * as utils from './utils';
+import * as ledger from './ledger';
+import * as txmeta from './txmeta';
+import * as priority from './priority';
+import * as hold from './hold';
+import * as volume from './volume';
+import * as budget from './budget';
+import * as preflight from './preflight';
+import * as unwindScan from './unwind';
+import * as tokens from './tokens';
+import * as shutdown from './shutdown';
+import { notify } from './notify';
+import { SwapError, classifyError, classifyFailure } from './errors';
+import { Rng, createRng } from './rng';
+import { ExecEstimator } from './execEstimate';
 import { StatsCollector } from './stats';
+import type { LegSide } from './ledger';
+import { LegIntent, SOL_MINT, Strategy, StrategyContext, USDC_MINT, createStrategy } from './strategies';
+
+// Slots a strategy may skip in a row (nothing affordable to trade) before the run gives up
+const MAX_CONSECUTIVE_SKIPS = 5;
+// Smaller gas top-ups cost more in fees than they are worth
+const MIN_TOPUP_USDC = 0.1;
+const TOPUP_ROUTE = 'GAS-TOPUP';
+// `unwind` leaves amounts worth less than this: the swap fee would exceed them
+const UNWIND_DUST_USDC = 0.01;
+
+function priorityNote(leg: LegDraft): string {
+    return leg.priorityFee ? ` priority=${leg.priorityFee}` : '';
+}
+
+function outcomeError(outcome: jupiter.SendOutcome): SwapError {
+    if (outcome.status === 'FAILED') {
+        return new SwapError(classifyFailure(outcome.error, null), `Transaction failed: ${outcome.error}`);
+    }
+    return new SwapError('BLOCKHASH_EXPIRED', `Transaction expired: blockhash passed lastValidBlockHeight (${outcome.signature})`);
+}
+
+// USD notional of a leg: its USDC side when it has one, else the strategy's estimate
+function legUsd(side: LegSide, spentRaw: bigint | string, outRaw: bigint | string, estimate?: number): number {
+    if (side === 'BUY') return utils.toUiAmount(spentRaw, 6);
+    if (side === 'SELL') return utils.toUiAmount(outRaw, 6);
+    return estimate ?? 0;
+}
 
 const IS_DEBUG = (process.env.LOG_LEVEL || 'info').toLowerCase() === 'debug';
 
@@ -22,72 +64,187 @@ export class MultiRouteDrip {
     private connection: Connection;
     private keypair: Keypair;
     private config: DripConfig;
-    private state: DripState;
-    private stats: StatsCollector;
+    private state!: DripState; // Loaded in run() once the state lock is held
+    private stats: StatsCollector; // Replaced by the persisted snapshot when resuming
+    private walletId?: string;
+    private owner: string;
+    private rng: Rng;
+    private execEstimate: ExecEstimator | null; // null = fixed config.estimatedExecMs
+    private strategy: Strategy;
+    private skips = 0; // Consecutive slots the strategy skipped
+    private stopReason: string | null = null; // Loss budget used up or a shutdown signal: unwind and stop
+    private priorRunRecovery = false; // Settling or selling what a previous run left: its loss is not this run's
 
     constructor(
         connection: Connection,
         keypair: Keypair,
-        config: DripConfig
+        config: DripConfig,
+        walletId?: string
     ) {
         this.connection = connection;
         this.keypair = keypair;
         this.config = config;
-        this.state = stateMgr.loadState();
+        this.walletId = walletId;
+        this.owner = keypair.publicKey.toBase58();
         this.stats = new StatsCollector();
+        this.rng = createRng(config.seed);
+        this.execEstimate = config.adaptiveExec ? new ExecEstimator(config.rpcUrl, config.estimatedExecMs) : null;
+        this.strategy = createStrategy(config);
+    }
+
+    async run(): Promise<WalletRunResult> {
+        logInfo(`[RUN] Starting ${this.strategy.mode} strategy`);
+        const runStart = Date.now();
+
+        // Hold the per-wallet lock for the whole run so no other process can
+        // write this wallet's state between our read and our writes.
+        stateMgr.acquireLock(this.owner);
+        // A second signal exits at once: save what this run knows and free the lock
+        const offForcedExit = shutdown.onForcedExit(() => {
+            if (this.state) this.persist();
+            stateMgr.releaseLock(this.owner);
+        });
+        try {
+            this.state = stateMgr.loadState(this.owner, this.config.resume);
+            if (this.config.resume && this.isFinishedRun()) {
+                logInfo('[STATE] Previous run already complete, nothing to resume. Starting fresh.');
+                this.state = stateMgr.loadState(this.owner, false);
+            }
+            if (this.state.stats) {
+                this.stats = new StatsCollector(this.state.stats);
+            }
+            if (this.state.startBalances) {
+                this.startBalances = { ...this.state.startBalances };
+            }
+            await this.resolveTokens();
+            return await this.runLocked(runStart);
+        } finally {
+            offForcedExit();
+            stateMgr.releaseLock(this.owner);
+        }
     }
 
-    async run() {
-        logInfo('[RUN] Starting Multi-Route Round-Trip Strategy');
+    private async runLocked(runStart: number): Promise<WalletRunResult> {
+        let error: string | undefined;
 
         try {
-            // --- RECOVERY PHASE ---
-            if (this.state.cycleState === CycleState.BOUGHT) {
+            // --- RESUME / RECOVERY PHASE ---
+            // A swap broadcast before the crash must be resolved before anything else is sent
+            if (this.state.pendingTx) {
+                this.priorRunRecovery = !this.config.resume;
+                await this.settlePendingTx(this.config.resume);
+                this.priorRunRecovery = false;
+                if (!this.config.resume) {
+                    // It belonged to the previous run: don't count it against this one
+                    this.state.completedTrades = 0;
+                    this.state.volumeUsd = 0;
+                    this.state.lossUsdc = 0;
+                    this.persist();
+                }
+            }
+
+            const resuming = this.config.resume && this.state.completedTrades > 0;
+            if (resuming) {
+                const elapsedSec = (Date.now() - this.state.startTime) / 1000;
+                const progress = this.config.volumeTargetUsd
+                    ? `volume=${(this.state.volumeUsd ?? 0).toFixed(2)}/${this.config.volumeTargetUsd} USD legs=${this.state.completedTrades}`
+                    : `legs=${this.state.completedTrades}/${this.config.totalTrades}`;
+                logInfo(`[STATE] Resuming run: ${progress} cycle=${this.state.cycleState} elapsed=${elapsedSec.toFixed(0)}s/${this.config.windowSec}s`);
+                if (elapsedSec > this.config.windowSec) {
+                    console.warn('[STATE] Original window already elapsed; remaining legs will run without delay.');
+                }
+                // An open BOUGHT cycle is sold by the main loop as a regular leg
+            } else if (this.state.cycleState === CycleState.BOUGHT) {
                 logInfo('[STATE] Recovery state found: YES. Unwinding previous incomplete cycle...');
-                await this.retryLeg(() => this.executeSell(true), this.config.maxSellRetries, 'SELL (Recovery)');
+                if (this.state.holdUntil) {
+                    // The previous run is over, so its hold is too: unwind now instead of waiting
+                    logInfo(`[STATE] Position was held until ${new Date(this.state.holdUntil).toISOString()}; selling now.`);
+                }
+                this.priorRunRecovery = true;
+                try {
+                    await this.retryLeg((attempt, slippageBps) => this.executeSell(true, attempt, slippageBps), this.config.maxSellRetries, 'SELL (Recovery)', 'SELL');
+                } finally {
+                    this.priorRunRecovery = false;
+                }
 
                 logInfo('[STATE] Recovery state cleared.');
 
                 // Force a clean state for the NEW run
-                this.state = stateMgr.loadState();
+                this.state = stateMgr.loadState(this.owner);
                 this.state = {
                     ...this.state,
                     cycleState: CycleState.INIT,
                     completedTrades: 0,
+                    volumeUsd: 0,
+                    lossUsdc: 0,
                     startTime: Date.now(),
                     lastBuyAmount: null
                 };
-                stateMgr.saveState(this.state);
+                this.persist();
             } else {
                 logDebug('[STATE] Recovery state found: NO');
             }
 
             // --- NEW RUN ---
-            const uniqueRoutes = this.config.routes.length;
-            logInfo(`[RUN] mode=multi_route target=${this.config.totalTrades} legs window=${this.config.windowSec}s routes=${uniqueRoutes}`);
+            const funding = await this.checkFunding();
+            const target = this.config.volumeTargetUsd
+                ? `${this.config.volumeTargetUsd} USD volume (±${(this.config.volumeTolerance * 100).toFixed(1)}%, ~${this.legTarget()} legs)`
+                : `${this.config.totalTrades} legs`;
+            logInfo(`[RUN] mode=${this.strategy.mode} target=${target} window=${this.config.windowSec}s ${this.strategy.describe()}`);
+            logInfo(`[RUN] wallet=${this.walletId || 'default'} address=${this.owner} seed=${this.config.seed} (replay with DRIP_SEED=${this.config.seed})`);
+            logInfo(`[RUN] exec_estimate=${this.execEstimate ? this.execEstimate.describe() : `${(this.config.estimatedExecMs / 1000).toFixed(1)}s/cycle (fixed)`}`);
+            funding?.lines.forEach(line => logInfo(`[RUN] preflight: ${line}`));
+            if (funding?.decision === 'REFUSED' && !this.config.dryRun) {
+                throw new Error(`Preflight refused to start: ${funding.reason}`);
+            }
 
-            this.captureStartBalances();
+            if (!resuming || !this.state.startBalances) {
+                await this.captureStartBalances();
+                this.state.startBalances = { ...this.startBalances };
+                this.persist();
+            }
 
-            while (this.state.completedTrades < this.config.totalTrades) {
-                // 1. Calculate Delay
-                const delayMs = scheduler.calculateDelay(this.config, this.state);
+            const { runUsdc, dayUsdc, cycleBps } = this.config.lossBudget;
+            if (runUsdc !== null || dayUsdc !== null || cycleBps !== null) {
+                logInfo(`[BUDGET] max loss run=${runUsdc ?? '-'} USDC day=${dayUsdc ?? '-'} USDC cycle=${cycleBps ?? '-'}bps`);
+                if (this.strategy.legsPerCycle === 1) {
+                    console.warn(`[BUDGET] Loss budgets count round trips only; ${this.strategy.mode} legs are not measured.`);
+                }
+            }
+            // Today's budget may already be spent by an earlier run
+            this.checkBudget();
+
+            // Never leave the loop holding a position, even if totalTrades shrank since the BUY
+            // or a loss budget or shutdown signal stopped the run
+            while ((!this.stopReason && !this.targetReached()) || this.state.cycleState === CycleState.BOUGHT) {
+                // 1. Calculate Delay (none when only unwinding after a stop)
+                const delayMs = this.stopReason ? 0 : scheduler.calculateDelay(this.config, this.state, {
+                    rng: this.rng,
+                    execMs: this.execEstimate?.cycleMs(),
+                    legsPerCycle: this.strategy.legsPerCycle,
+                    remainingLegs: this.legTarget() - this.state.completedTrades
+                });
 
                 if (delayMs > 0) {
                     logDebug(`[scheduler] Waiting ${(delayMs / 1000).toFixed(1)}s...`);
-                    await utils.sleep(delayMs);
+                    await shutdown.sleep(delayMs);
                 }
+                this.checkShutdown();
+                if (this.stopReason && this.state.cycleState !== CycleState.BOUGHT) break;
 
                 // 2. Logic based on state
                 try {
                     if (this.state.cycleState === CycleState.INIT || this.state.cycleState === CycleState.SOLD) {
                         if (this.state.cycleState === CycleState.SOLD) {
                             this.state.cycleState = CycleState.INIT;
-                            stateMgr.saveState(this.state);
+                            this.persist();
                         }
-                        await this.retryLeg(() => this.executeBuy(), this.config.maxBuyRetries, 'BUY');
+                        await this.topUpGas();
+                        await this.runStrategySlot();
 
                     } else if (this.state.cycleState === CycleState.BOUGHT) {
-                        await this.retryLeg(() => this.executeSell(false), this.config.maxSellRetries, 'SELL');
+                        if (!this.stopReason) await this.holdPosition();
+                        await this.retryLeg((attempt, slippageBps) => this.executeSell(false, attempt, slippageBps), this.config.maxSellRetries, 'SELL', 'SELL');
                     }
                 } catch (err: any) {
                     console.error(`[FATAL] ${err.message}`);
@@ -95,29 +252,278 @@ export class MultiRouteDrip {
                     throw err;
                 }
 
-                stateMgr.saveState(this.state);
+                this.persist();
             }
 
-            console.log('[DRIP] Work Complete!');
+            console.log(this.stopReason ? `[DRIP] Stopped early: ${this.stopReason}` : '[DRIP] Work Complete!');
 
         } catch (e: any) {
             console.error(`[RUN] Aborted: ${e.message}`);
+            error = e.message;
+        }
+
+        const end = await this.printEndSummary();
+        const totals = this.stats.getTotals();
+        const result: WalletRunResult = {
+            walletId: this.walletId || 'default',
+            address: this.owner,
+            status: error ? 'FAILED' : 'SUCCESS',
+            error,
+            stopReason: this.stopReason ?? undefined,
+            targetLegs: this.legTarget(),
+            completedLegs: totals.legs,
+            usdcIn: totals.usdcIn,
+            usdcOut: totals.usdcOut,
+            feeLamports: totals.baseFeeLamports + totals.priorityFeeLamports,
+            startUsdc: this.startBalances.usdc,
+            endUsdc: end.endUsdc,
+            startSol: this.startBalances.sol,
+            endSol: end.endSol,
+            elapsedMs: Date.now() - runStart
+        };
+        await this.notifyResult(result);
+        return result;
+    }
+
+    // `unwind` command: sell what the bot bought but no longer tracks, e.g. after its
+    // state file was lost (see unwind.ts for the attribution). Holds the wallet lock like
+    // run(). An unsettled swap is resolved and the open position sold as state has it;
+    // every other attributable amount is sold the same way. These SELLs leave the saved
+    // run's trade count, volume and stats alone. A preview (or DRIP_DRY_RUN) only quotes.
+    async unwind(preview: boolean): Promise<unwindScan.UnwindResult> {
+        preview = preview || this.config.dryRun;
+        const result: unwindScan.UnwindResult = {
+            walletId: this.walletId || 'default', address: this.owner, status: 'SUCCESS', preview, sells: 0, usdcOut: 0
+        };
+        stateMgr.acquireLock(this.owner);
+        const offForcedExit = shutdown.onForcedExit(() => {
+            if (this.state) this.persist();
+            stateMgr.releaseLock(this.owner);
+        });
+        try {
+            this.state = stateMgr.loadState(this.owner, true);
+            if (this.state.stats) {
+                this.stats = new StatsCollector(this.state.stats);
+            }
+            // Unwind SELLs stay out of the stats: count the fills this unwind writes to the ledger
+            const ledgerBefore = ledger.readLedger(e => e.wallet === this.owner).length;
+            await this.resolveTokens();
+
+            if (!preview) {
+                if (this.state.pendingTx) await this.settlePendingTx(true);
+                // Without lastBuyAmount (the stuck case) the position is left to the ledger scan below
+                if (this.state.cycleState === CycleState.BOUGHT && this.state.lastBuyAmount) {
+                    logInfo(`[UNWIND] Selling the open position from state: ${this.state.currentRouteName}`);
+                    const tokenMint = this.state.currentRouteTokenMint!;
+                    const route = this.config.routes.find(r => r.tokenMint === tokenMint)
+                        ?? { name: this.state.currentRouteName!, tokenMint, usdcMint: USDC_MINT };
+                    const balance = await wallet.getSwapTokenBalance(this.connection, this.keypair.publicKey, tokenMint, preflight.bufferLamports(this.config));
+                    const held = BigInt(this.state.lastBuyAmount);
+                    const amount = balance < held ? balance : held;
+                    if (amount === 0n) throw new Error(`[SELL] CRITICAL: Balance is 0. Cannot sell.`);
+                    await this.retryLeg((attempt, slippageBps) => this.executeUnwindSell(route, amount, attempt, slippageBps), this.config.maxSellRetries, 'SELL', 'SELL');
+                    result.sells++;
+                }
+            } else if (this.state.pendingTx) {
+                logInfo('[UNWIND] A swap from an earlier run is unsettled: unwinding settles it first, which may change the amounts below.');
+            }
+
+            for (const h of await unwindScan.scanHoldings(this.connection, this.keypair.publicKey, this.config, this.state)) {
+                logInfo(`[UNWIND] ${unwindScan.describeHolding(h)}`);
+                if (h.botRaw === 0n) continue;
+                const quote = await jupiter.getQuote(h.route.tokenMint, h.route.usdcMint, h.botRaw, this.config.retry.sell.baseBps, this.config.jupApiKey);
+                const quoted = utils.toUiAmount(quote.outAmount, 6);
+                if (quoted < UNWIND_DUST_USDC) {
+                    logInfo(`[UNWIND] ${h.route.name}: skipped, worth ${quoted.toFixed(6)} USDC`);
+                    continue;
+                }
+                result.sells++;
+                if (preview) {
+                    logInfo(`[UNWIND] ${h.route.name}: would sell ${utils.toUiAmount(h.botRaw, utils.getDecimals(h.route.tokenMint))} for ~${quoted.toFixed(4)} USDC`);
+                    result.usdcOut += quoted;
+                    continue;
+                }
+                await this.retryLeg((attempt, slippageBps) => this.executeUnwindSell(h.route, h.botRaw, attempt, slippageBps), this.config.maxSellRetries, 'SELL', 'SELL');
+            }
+            if (!preview) {
+                const sold = ledger.readLedger(e => e.wallet === this.owner).slice(ledgerBefore)
+                    .filter(e => e.side === 'SELL' && e.status === 'SUCCESS' && e.outAmountRaw !== null);
+                result.usdcOut = sold.reduce((sum, e) => sum + utils.toUiAmount(e.outAmountRaw!, 6), 0);
+            }
+        } catch (e: any) {
+            console.error(`[UNWIND] Aborted: ${e.message}`);
+            result.status = 'FAILED';
+            result.error = e.message;
         } finally {
-            await this.printEndSummary();
+            offForcedExit();
+            stateMgr.releaseLock(this.owner);
+        }
+        return result;
+    }
+
+    // Decimals of every mint this run may touch, including a position or swap an earlier run left
+    private async resolveTokens() {
+        await tokens.resolveConfig(this.connection, this.config);
+        const leftover = [this.state.currentRouteTokenMint, this.state.pendingTx?.leg.inputMint, this.state.pendingTx?.leg.outputMint];
+        for (const mint of leftover) {
+            if (mint) await tokens.resolveToken(this.connection, mint);
+        }
+    }
+
+    private async notifyResult(r: WalletRunResult) {
+        const outcome = r.error ? `FAILED: ${r.error}` : r.stopReason ? `STOPPED: ${r.stopReason}` : 'completed';
+        await notify(this.config.telegram, `Drip ${r.walletId} ${this.strategy.mode}${this.config.dryRun ? ' (dry-run)' : ''}`, [
+            `Wallet: ${r.address}`,
+            `Result: ${outcome}`,
+            `Legs: ${r.completedLegs}/${r.targetLegs}`,
+            `USDC in/out: ${r.usdcIn.toFixed(4)} / ${r.usdcOut.toFixed(4)} (net ${(r.usdcOut - r.usdcIn).toFixed(4)})`,
+            `Round-trip loss: ${(this.state.lossUsdc ?? 0).toFixed(4)} USDC`
+        ]);
+    }
+
+    // Worst-case USDC and SOL needs against live balances, before the first new leg.
+    // A SCALED plan replaces this.config; a dry run only reports the decision.
+    private async checkFunding(): Promise<preflight.PreflightResult | null> {
+        if (this.config.preflight === 'off') return null;
+        let result: preflight.PreflightResult;
+        try {
+            const balances = await preflight.readBalances(this.connection, this.keypair.publicKey, this.config, async () => {
+                try {
+                    return (await jupiter.getPrices([SOL_MINT], this.config.jupApiKey))[SOL_MINT] ?? null;
+                } catch (e) {
+                    return null;
+                }
+            });
+            result = preflight.decide(this.config, this.state, balances, this.config.preflight);
+        } catch (e: any) {
+            // Same as before the check existed: a shortfall would surface as a failed leg
+            console.warn(`[PREFLIGHT] Skipped, balances unavailable: ${e.message}`);
+            return null;
+        }
+        if (this.config.dryRun) {
+            if (result.decision !== 'OK') result.lines.push('dry-run: decision not applied');
+        } else if (result.decision === 'SCALED') {
+            this.config = result.config;
+        }
+        return result;
+    }
+
+    // A shutdown signal stops the run like a used-up budget
+    private checkShutdown() {
+        const signal = shutdown.requestedBy();
+        if (signal && !this.stopReason) {
+            this.stopReason = `interrupted by ${signal}`;
+            console.warn(`[SHUTDOWN] Stopping: ${this.stopReason}`);
+        }
+    }
+
+    // Sets stopReason once any loss budget is used up; the main loop then unwinds and stops
+    private checkBudget(lastCycleBps?: number): boolean {
+        if (this.stopReason) return true;
+        let reason: string | null;
+        try {
+            const dayLoss = this.config.lossBudget.dayUsdc !== null ? budget.readDayLoss(this.owner) : 0;
+            reason = budget.exceededBudget(this.config, this.state.lossUsdc ?? 0, dayLoss, lastCycleBps);
+        } catch (e: any) {
+            reason = e.message;
+        }
+        if (reason) {
+            this.stopReason = reason;
+            console.warn(`[BUDGET] Stopping: ${reason}`);
+        }
+        return reason !== null;
+    }
+
+    // Called with a closed round trip: count its loss against the budgets. A cycle a
+    // previous run left open counts only towards today's budget, which spans runs;
+    // the startup checkBudget() then stops this run if that used the day up.
+    private recordCycleLoss(costRaw: bigint, proceedsRaw: bigint) {
+        const loss = utils.toUiAmount(costRaw - proceedsRaw, 6);
+        const bps = budget.cycleLossBps(costRaw, proceedsRaw);
+        if (this.priorRunRecovery) {
+            logInfo(`[BUDGET] previous run's cycle loss=${loss.toFixed(6)} USDC (${bps.toFixed(1)}bps), counted for today only`);
+        } else {
+            this.state.lossUsdc = (this.state.lossUsdc ?? 0) + loss;
+            logDebug(`[BUDGET] cycle loss=${loss.toFixed(6)} USDC (${bps.toFixed(1)}bps) run=${this.state.lossUsdc.toFixed(6)} USDC`);
+        }
+        // Recorded with or without a day budget, so one set later in the day sees the
+        // earlier runs. Quotes are not losses: a dry run never touches it.
+        if (!this.config.dryRun) {
+            try {
+                budget.addDayLoss(this.owner, loss);
+            } catch (e: any) {
+                if (this.config.lossBudget.dayUsdc !== null) {
+                    this.stopReason = `cannot record today's loss: ${e.message}`;
+                    console.warn(`[BUDGET] Stopping: ${this.stopReason}`);
+                } else {
+                    console.warn(`[BUDGET] Cannot record today's loss: ${e.message}`);
+                }
+            }
         }
+        if (!this.priorRunRecovery) this.checkBudget(bps);
     }
 
-    private async retryLeg(action: () => Promise<void>, maxRetries: number, legName: string) {
+    private isFinishedRun(): boolean {
+        return this.targetReached() && this.state.cycleState !== CycleState.BOUGHT && !this.state.pendingTx;
+    }
+
+    // Leg count or, with DRIP_VOLUME_TARGET_USD, traded volume within tolerance
+    private targetReached(): boolean {
+        return this.config.volumeTargetUsd
+            ? volume.targetReached(this.config, this.state)
+            : this.state.completedTrades >= this.config.totalTrades;
+    }
+
+    // Legs this run is expected to take: fixed, or re-estimated from the volume still missing
+    private legTarget(): number {
+        return this.config.volumeTargetUsd
+            ? this.state.completedTrades + volume.remainingLegs(this.config, this.state)
+            : this.config.totalTrades;
+    }
+
+    // Dry-run legs only quote, and settled pending legs span the restart: neither reflects the RPC
+    private learnExecTime(legMs: number) {
+        if (this.execEstimate && !this.config.dryRun) {
+            this.execEstimate.observe(legMs);
+        }
+    }
+
+    // Save state together with the stats so far, so a resumed run continues the same numbers
+    private persist() {
+        this.state.stats = this.stats.snapshot();
+        stateMgr.saveState(this.state, this.owner);
+    }
+
+    // Retries react to why the attempt failed: slippage widens the tolerance per the
+    // side's policy, rate limits back off exponentially, an expired blockhash
+    // re-quotes at once, and insufficient funds aborts without retrying. Once a stop
+    // is requested a BUY-side leg is not retried (nothing is held yet) and returns
+    // for the main loop to stop; a SELL keeps retrying so no position is left open.
+    private async retryLeg(
+        action: (attempt: number, slippageBps: number) => Promise<void>,
+        maxRetries: number,
+        legName: string,
+        side: 'BUY' | 'SELL'
+    ) {
+        const policy = side === 'BUY' ? this.config.retry.buy : this.config.retry.sell;
+        let slippageBps = this.config.dryRun ? 50 : policy.baseBps;
+        let rateLimits = 0;
         let lastError;
         for (let i = 0; i < maxRetries; i++) {
+            const signal = shutdown.requestedBy();
+            if (i > 0 && side === 'BUY' && signal) {
+                logInfo(`[${legName}] Not retried: ${signal} received`);
+                return;
+            }
             try {
-                await action();
+                await action(i + 1, slippageBps);
                 return; // Success
             } catch (err: any) {
                 lastError = err;
+                const kind = classifyError(err);
                 // Log level gating for retry noise
                 if (IS_DEBUG) {
-                    console.error(`[${legName}] Attempt ${i + 1}/${maxRetries} failed: ${err.message}`);
+                    console.error(`[${legName}] Attempt ${i + 1}/${maxRetries} failed (${kind}): ${err.message}`);
                 } else if (i === maxRetries - 1) {
                     // Only print concise warning on final fail (which will throw below)
                     // Or maybe print "Retrying..." only if DEBUG?
@@ -126,69 +532,275 @@ export class MultiRouteDrip {
                     // User says: "Do NOT print per-retry backoff lines."
                 }
 
+                if (kind === 'INSUFFICIENT_FUNDS') {
+                    throw new Error(`${legName} aborted without retry (insufficient funds): ${err.message}`);
+                }
+
                 if (i < maxRetries - 1) {
-                    const backoff = this.config.failBackoffSec * 1000;
-                    if (IS_DEBUG) logDebug(`[${legName}] Retrying in ${this.config.failBackoffSec}s...`);
-                    await utils.sleep(backoff);
+                    let backoff = this.config.failBackoffSec * 1000;
+                    if (kind === 'SLIPPAGE') {
+                        const next = Math.min(slippageBps + policy.stepBps, policy.maxBps);
+                        logDebug(`[${legName}] Slippage ${slippageBps} -> ${next}bps`);
+                        slippageBps = Math.max(slippageBps, next);
+                    } else if (kind === 'RATE_LIMIT') {
+                        rateLimits++;
+                        backoff = Math.min(backoff * Math.pow(2, rateLimits), this.config.retry.backoffMaxSec * 1000);
+                    } else if (kind === 'BLOCKHASH_EXPIRED') {
+                        backoff = 0; // Nothing to wait for: a fresh quote brings a fresh blockhash
+                    }
+                    if (IS_DEBUG) logDebug(`[${legName}] Retrying in ${(backoff / 1000).toFixed(1)}s...`);
+                    await (side === 'BUY' ? shutdown.sleep(backoff) : utils.sleep(backoff));
                 }
             }
         }
         throw new Error(`Exhausted ${maxRetries} retries for ${legName}: ${lastError?.message}`);
     }
 
-    private async executeBuy() {
-        const legIdx = this.state.completedTrades + 1;
-        const total = this.config.totalTrades;
+    private strategyContext(): StrategyContext {
+        return {
+            config: this.config,
+            state: this.state,
+            rng: this.rng,
+            legUsd: () => this.config.volumeTargetUsd
+                ? volume.nextLegUsd(this.config, this.state, this.rng)
+                : this.rng() * (this.config.usdcMax - this.config.usdcMin) + this.config.usdcMin,
+            balance: mint => wallet.getSwapTokenBalance(this.connection, this.keypair.publicKey, mint, preflight.bufferLamports(this.config)),
+            prices: mints => jupiter.getPrices(mints, this.config.jupApiKey)
+        };
+    }
+
+    // One scheduler slot: the strategy picks the leg once, retries reuse it.
+    // A skipped slot backs off; a strategy that keeps skipping has nothing left to trade.
+    private async runStrategySlot() {
+        let intent: LegIntent | null = null;
+        try {
+            intent = await this.strategy.nextLeg(this.strategyContext());
+        } catch (e: any) {
+            // Balance or price reads failed: nothing was sent, so treat it like a skip
+            console.warn(`[${this.strategy.mode}] Could not plan the next leg: ${e.message}`);
+        }
+        if (!intent) {
+            if (++this.skips >= MAX_CONSECUTIVE_SKIPS) {
+                throw new Error(`${this.strategy.mode} skipped ${this.skips} slots in a row, nothing left to trade`);
+            }
+            await utils.sleep(this.config.failBackoffSec * 1000);
+            return;
+        }
+        this.skips = 0;
+        // Strategy legs leave no position behind when they fail, so they retry like a BUY
+        await this.retryLeg((attempt, slippageBps) => this.executeLeg(intent, attempt, slippageBps), this.config.maxBuyRetries, intent.side, 'BUY');
+    }
 
-        const route = this.pickRandomRoute();
+    // A leg chosen by the strategy: a round-trip BUY (opens the position the engine
+    // sells later) or a standalone leg that completes on its own.
+    private async executeLeg(intent: LegIntent, attempt: number, slippageBps: number) {
+        // The previous attempt's tx may still land; never send a second leg on top of it
+        if (this.state.pendingTx && await this.settlePendingTx(true)) return;
 
-        // Amount
-        const usdcAmt = this.randomFloat(this.config.usdcMin, this.config.usdcMax);
-        const amountIn = utils.toRawAmount(usdcAmt, 6); // USDC is 6 decimals
+        const legIdx = this.state.completedTrades + 1;
+        const total = this.legTarget();
+        const amountIn = intent.amountRaw;
 
         const startTime = Date.now();
         let sig = 'dry_run';
-        let boughtAmountRaw = '0';
-        let tokenAmountOutUi = 0;
+        let outAmountRaw = '0';
 
-        // Decimals for the token we are buying
-        const tokenDecimals = utils.getDecimals(route.tokenMint);
+        const leg: LegDraft = {
+            route: intent.route,
+            side: intent.side,
+            inputMint: intent.inputMint,
+            outputMint: intent.outputMint,
+            inAmountRaw: amountIn.toString(),
+            slippageBps,
+            priorityFee: null,
+            attempt,
+            recovery: false,
+            roundTrip: intent.opensPosition
+        };
+        let quote: any = null;
+        let sentSig: string | null = null;
+        let info: txmeta.TxInfo | null = null;
+        let spentRaw = amountIn;
+        let fillNote = '';
 
-        if (this.config.dryRun) {
-            logDebug(`[DRIP] Dry Run: Quote only ${route.name}`);
-            const q = await jupiter.getQuote(route.usdcMint, route.tokenMint, amountIn, 50, this.config.jupApiKey);
-            boughtAmountRaw = q.outAmount;
-            tokenAmountOutUi = utils.toUiAmount(BigInt(boughtAmountRaw), tokenDecimals);
+        try {
+            if (this.config.dryRun) {
+                logDebug(`[DRIP] Dry Run: Quote only ${intent.side} ${intent.route}`);
+                quote = await jupiter.getQuote(intent.inputMint, intent.outputMint, amountIn, slippageBps, this.config.jupApiKey);
+                outAmountRaw = quote.outAmount;
 
-            await utils.sleep(500);
-            this.updateStateAfterBuy(route, 'dry_run', boughtAmountRaw);
-        } else {
-            const quote = await jupiter.getQuote(route.usdcMint, route.tokenMint, amountIn, 100, this.config.jupApiKey);
-            const txBase64 = await jupiter.getSwapTransaction(quote, this.keypair.publicKey.toBase58(), this.config.jupApiKey);
-            sig = await jupiter.executeSwap(this.connection, this.keypair, txBase64);
-            await jupiter.confirmTransaction(this.connection, sig);
+                await utils.sleep(500);
+                this.applyLeg(intent, 'dry_run', outAmountRaw, amountIn.toString());
+            } else {
+                const prepared = await this.prepareSwap(leg, amountIn);
+                quote = prepared.quote;
+                const signed = prepared.signed;
+                sig = sentSig = signed.signature;
+                await this.broadcast(signed, leg, quote.outAmount, intent);
 
-            boughtAmountRaw = quote.outAmount;
-            tokenAmountOutUi = utils.toUiAmount(BigInt(boughtAmountRaw), tokenDecimals);
+                // Size the SELL from what actually landed, not from the quote
+                info = await txmeta.fetchTxInfo(this.connection, sig);
+                const fill = this.reconcileFill(`${intent.side} ${intent.route}`, quote.outAmount, info, intent.outputMint);
+                outAmountRaw = fill.amount.toString();
+                fillNote = fill.note;
+                const spent = info ? -txmeta.tokenDelta(info, this.owner, intent.inputMint) : 0n;
+                if (spent > 0n) spentRaw = spent;
 
-            this.updateStateAfterBuy(route, sig, boughtAmountRaw);
+                this.applyLeg(intent, sig, outAmountRaw, spentRaw.toString());
+            }
+        } catch (err: any) {
+            await this.recordLedger(leg, 'FAILED', quote, sentSig, null, undefined, err.message);
+            throw err;
         }
+        await this.recordLedger(leg, 'SUCCESS', quote, sentSig, outAmountRaw, info);
+
+        const inDecimals = utils.getDecimals(intent.inputMint);
+        const outDecimals = utils.getDecimals(intent.outputMint);
+        const inUi = utils.toUiAmount(spentRaw, inDecimals);
+        const outUi = utils.toUiAmount(outAmountRaw, outDecimals);
 
         // Safety check for logging / amount sanity
-        if (route.name.includes('SOL') && tokenAmountOutUi > 0.05 && usdcAmt < 1) {
+        if (intent.side === 'BUY' && intent.outputMint === SOL_MINT && outUi > 0.05 && inUi < 1) {
             // "For SOL-USDC BUY, if token_out_ui > 0.05 SOL while usdc_in < 1 USDC, flag..."
-            console.error(`[SAFETY] SUSPICIOUS AMOUNT: Bought ${tokenAmountOutUi} SOL for only ${usdcAmt} USDC? Decimals likely wrong.`);
+            console.error(`[SAFETY] SUSPICIOUS AMOUNT: Bought ${outUi} SOL for only ${inUi} USDC? Decimals likely wrong.`);
             // Must abort
             throw new Error('Safety: Suspicious buy amount/decimals match.');
         }
 
-        logInfo(`[LEG ${legIdx}/${total}] BUY route=${route.name} usdc_in=${usdcAmt.toFixed(4)} token_out=${tokenAmountOutUi.toFixed(tokenDecimals === 9 ? 6 : 4)}`);
+        const fmt = (ui: number, decimals: number) => ui.toFixed(decimals === 9 ? 6 : 4);
+        const amounts = intent.side === 'BUY' ? `usdc_in=${inUi.toFixed(4)} token_out=${fmt(outUi, outDecimals)}`
+            : intent.side === 'SELL' ? `token_in=${fmt(inUi, inDecimals)} usdc_out=${outUi.toFixed(4)}`
+                : `in=${fmt(inUi, inDecimals)} out=${fmt(outUi, outDecimals)}`;
+        logInfo(`[LEG ${legIdx}/${total}] ${intent.side} route=${intent.route} ${amounts}${fillNote}${priorityNote(leg)}`);
 
+        const usdcValue = legUsd(intent.side, spentRaw, outAmountRaw, intent.usdcValue);
         const duration = (Date.now() - startTime) / 1000;
-        this.stats.recordLeg(route.name, 'BUY', usdcAmt, sig, duration * 1000);
+        this.stats.recordLeg(intent.route, intent.side, usdcValue, sig, duration * 1000, info ? txmeta.legFees(info, this.owner) : undefined);
+        this.stats.recordTokenFlow(intent.inputMint, spentRaw, intent.outputMint, BigInt(outAmountRaw));
+        this.learnExecTime(duration * 1000);
+    }
+
+    // Between cycles: below config.gasTopUp.floorSol, buy SOL back up to targetSol with at
+    // most maxUsdc through the normal swap path. A failed top-up only warns: the next leg
+    // may still have enough SOL, and if not it fails on its own.
+    private async topUpGas() {
+        const cfg = this.config.gasTopUp;
+        if (!cfg) return;
+        try {
+            const lamports = await wallet.getBalance(this.connection, this.keypair.publicKey);
+            const sol = utils.toUiAmount(lamports, 9);
+            if (sol >= cfg.floorSol) return;
+
+            const price = (await jupiter.getPrices([SOL_MINT], this.config.jupApiKey))[SOL_MINT];
+            if (!price) throw new Error('no SOL price');
+            const usdcBal = await wallet.getSwapTokenBalance(this.connection, this.keypair.publicKey, USDC_MINT);
+            const wanted = utils.toRawAmount(Math.min(cfg.maxUsdc, (cfg.targetSol - sol) * price), 6);
+            const amountRaw = wanted < usdcBal ? wanted : usdcBal;
+            if (utils.toUiAmount(amountRaw, 6) < MIN_TOPUP_USDC) {
+                throw new Error(`USDC balance ${utils.toUiAmount(usdcBal, 6)} too low`);
+            }
+            logInfo(`[GAS] SOL ${sol.toFixed(6)} < floor ${cfg.floorSol}, topping up with ${utils.toUiAmount(amountRaw, 6).toFixed(4)} USDC`);
+            await this.retryLeg((attempt, slippageBps) => this.executeTopUp(amountRaw, attempt, slippageBps), this.config.maxBuyRetries, 'TOPUP', 'BUY');
+        } catch (e: any) {
+            console.warn(`[GAS] Top-up skipped: ${e.message}`);
+        }
     }
 
-    private async executeSell(isRecovery: boolean) {
+    private async executeTopUp(amountRaw: bigint, attempt: number, slippageBps: number) {
+        if (this.state.pendingTx && await this.settlePendingTx(true)) return;
+
+        const leg: LegDraft = {
+            route: TOPUP_ROUTE,
+            side: 'TOPUP',
+            inputMint: USDC_MINT,
+            outputMint: SOL_MINT,
+            inAmountRaw: amountRaw.toString(),
+            slippageBps,
+            priorityFee: null,
+            attempt,
+            recovery: false
+        };
+        let quote: any = null;
+        let sentSig: string | null = null;
+        let info: txmeta.TxInfo | null = null;
+        let outRaw: bigint;
+        let fillNote = '';
+
+        try {
+            if (this.config.dryRun) {
+                quote = await jupiter.getQuote(USDC_MINT, SOL_MINT, amountRaw, slippageBps, this.config.jupApiKey);
+                logInfo(`[GAS] Dry run: would top up ${utils.toUiAmount(amountRaw, 6).toFixed(4)} USDC -> ${utils.toUiAmount(quote.outAmount, 9).toFixed(6)} SOL`);
+                return;
+            }
+            const prepared = await this.prepareSwap(leg, amountRaw);
+            quote = prepared.quote;
+            sentSig = prepared.signed.signature;
+            await this.broadcast(prepared.signed, leg, quote.outAmount);
+            info = await txmeta.fetchTxInfo(this.connection, sentSig);
+            const fill = this.reconcileFill(`TOPUP ${TOPUP_ROUTE}`, quote.outAmount, info, SOL_MINT);
+            outRaw = fill.amount;
+            fillNote = fill.note;
+            this.state.pendingTx = null;
+            this.persist();
+        } catch (err: any) {
+            await this.recordLedger(leg, 'FAILED', quote, sentSig, null, undefined, err.message);
+            throw err;
+        }
+        await this.recordLedger(leg, 'SUCCESS', quote, sentSig, outRaw.toString(), info);
+        this.recordTopUp(leg, amountRaw, outRaw, info, fillNote);
+    }
+
+    private recordTopUp(leg: LegDraft, spentRaw: bigint, outRaw: bigint, info: txmeta.TxInfo | null, note: string) {
+        const usdcIn = utils.toUiAmount(spentRaw, 6);
+        const solOut = utils.toUiAmount(outRaw, 9);
+        logInfo(`[GAS] TOPUP usdc_in=${usdcIn.toFixed(4)} sol_out=${solOut.toFixed(6)}${note}${priorityNote(leg)}`);
+        this.stats.recordTopUp(usdcIn, solOut, info ? txmeta.legFees(info, this.owner) : undefined);
+        this.persist();
+    }
+
+    // Keep the open position until its hold policy says sell: take-profit (after the
+    // minimum hold), stop-loss, or the forced deadline. Without a hold, returns at once.
+    private async holdPosition() {
+        const policy = hold.resolveHold(this.config, this.state.currentRouteName);
+        if (!policy || !this.state.holdUntil || !this.state.lastBuyAmount) return;
+
+        const tokenMint = this.state.currentRouteTokenMint!;
+        const route = this.config.routes.find(r => r.tokenMint === tokenMint);
+        const usdcMint = route ? route.usdcMint : USDC_MINT;
+        const cost = BigInt(this.state.lastBuyCostRaw || '0');
+        const watchPnl = cost > 0n && (policy.takeProfitBps !== null || policy.stopLossBps !== null);
+        logInfo(`[HOLD] route=${this.state.currentRouteName} until=${new Date(this.state.holdUntil).toISOString()}${policy.takeProfitBps !== null ? ` tp=${policy.takeProfitBps}bps` : ''}${policy.stopLossBps !== null ? ` sl=${policy.stopLossBps}bps` : ''}`);
+
+        while (true) {
+            if (shutdown.requestedBy()) {
+                logInfo(`[HOLD] route=${this.state.currentRouteName} exit=shutdown`);
+                return;
+            }
+            let pnl: number | null = null;
+            if (watchPnl && Date.now() < this.state.holdUntil) {
+                try {
+                    const quote = await jupiter.getQuote(tokenMint, usdcMint, BigInt(this.state.lastBuyAmount), this.config.retry.sell.baseBps, this.config.jupApiKey);
+                    pnl = hold.pnlBps(cost, BigInt(quote.outAmount));
+                    logDebug(`[HOLD] ${this.state.currentRouteName} pnl=${pnl}bps`);
+                } catch (e: any) {
+                    // A missed quote only delays TP/SL by one poll; the deadline still applies
+                    console.warn(`[HOLD] Quote failed: ${e.message}`);
+                }
+            }
+
+            const decision = hold.decideExit(policy, this.state, Date.now(), pnl);
+            if (decision !== 'HOLD') {
+                const heldSec = (Date.now() - (this.state.lastBuyTime ?? Date.now())) / 1000;
+                logInfo(`[HOLD] route=${this.state.currentRouteName} exit=${decision.toLowerCase()} held=${heldSec.toFixed(0)}s${pnl !== null ? ` pnl=${pnl}bps` : ''}`);
+                return;
+            }
+            await shutdown.sleep(Math.max(0, Math.min(policy.pollSec * 1000, this.state.holdUntil - Date.now())));
+        }
+    }
+
+    private async executeSell(isRecovery: boolean, attempt: number, slippageBps: number) {
+        if (this.state.pendingTx && await this.settlePendingTx(!isRecovery)) return;
+
         let legIdx = this.state.completedTrades + 1;
 
         const routeName = this.state.currentRouteName;
@@ -197,7 +809,7 @@ export class MultiRouteDrip {
         if (!routeName || !tokenMint) throw new Error('State corrupted: No route info for SELL.');
 
         const route = this.config.routes.find(r => r.tokenMint === tokenMint);
-        const usdcMint = route ? route.usdcMint : 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v';
+        const usdcMint = route ? route.usdcMint : USDC_MINT;
 
         // --- STRICT SELL AMOUNT LOGIC ---
         // Must use lastBuyAmount (per-cycle)
@@ -215,7 +827,7 @@ export class MultiRouteDrip {
 
         if (!this.config.dryRun) {
             // Real run: Validate with balance
-            const walletBal = await wallet.getSwapTokenBalance(this.connection, this.keypair.publicKey, tokenMint);
+            const walletBal = await wallet.getSwapTokenBalance(this.connection, this.keypair.publicKey, tokenMint, preflight.bufferLamports(this.config));
 
             if (walletBal < targetSellAmount) {
                 // We have LESS than we bought? (Fees, transfer, dust diff?)
@@ -250,62 +862,368 @@ export class MultiRouteDrip {
         let sig = 'dry_run';
         let usdcOutUi = 0;
 
-        if (this.config.dryRun) {
-            logDebug(`[DRIP] Dry Run: Selling ${routeName}`);
-            const q = await jupiter.getQuote(tokenMint, usdcMint, amountToSell, 50, this.config.jupApiKey);
-            usdcOutUi = utils.toUiAmount(q.outAmount, 6);
-            await utils.sleep(500);
-            this.updateStateAfterSell();
-        } else {
-            console.log(`[SELL] Selling ${utils.toUiAmount(amountToSell, tokenDecimals)} units of ${routeName}...`);
-            const quote = await jupiter.getQuote(tokenMint, usdcMint, amountToSell, 100, this.config.jupApiKey);
-            usdcOutUi = utils.toUiAmount(quote.outAmount, 6);
+        const leg: LegDraft = {
+            route: routeName,
+            side: 'SELL',
+            inputMint: tokenMint,
+            outputMint: usdcMint,
+            inAmountRaw: amountToSell.toString(),
+            slippageBps,
+            priorityFee: null,
+            attempt,
+            recovery: isRecovery,
+            roundTrip: true
+        };
+        let quote: any = null;
+        let sentSig: string | null = null;
+        let info: txmeta.TxInfo | null = null;
+        let usdcOutRaw = '0';
+        let fillNote = '';
 
-            const txBase64 = await jupiter.getSwapTransaction(quote, this.keypair.publicKey.toBase58(), this.config.jupApiKey);
-            sig = await jupiter.executeSwap(this.connection, this.keypair, txBase64);
-            await jupiter.confirmTransaction(this.connection, sig);
-            this.updateStateAfterSell();
+        try {
+            if (this.config.dryRun) {
+                logDebug(`[DRIP] Dry Run: Selling ${routeName}`);
+                quote = await jupiter.getQuote(tokenMint, usdcMint, amountToSell, slippageBps, this.config.jupApiKey);
+                usdcOutRaw = quote.outAmount;
+                usdcOutUi = utils.toUiAmount(usdcOutRaw, 6);
+                await utils.sleep(500);
+                this.updateStateAfterSell(usdcOutRaw);
+            } else {
+                console.log(`[SELL] Selling ${utils.toUiAmount(amountToSell, tokenDecimals)} units of ${routeName}...`);
+                const prepared = await this.prepareSwap(leg, amountToSell);
+                quote = prepared.quote;
+                const signed = prepared.signed;
+                sig = sentSig = signed.signature;
+                await this.broadcast(signed, leg, quote.outAmount);
+
+                info = await txmeta.fetchTxInfo(this.connection, sig);
+                const fill = this.reconcileFill(`SELL ${routeName}`, quote.outAmount, info, usdcMint);
+                usdcOutRaw = fill.amount.toString();
+                fillNote = fill.note;
+                usdcOutUi = utils.toUiAmount(usdcOutRaw, 6);
+                this.updateStateAfterSell(usdcOutRaw);
+            }
+        } catch (err: any) {
+            await this.recordLedger(leg, 'FAILED', quote, sentSig, null, undefined, err.message);
+            throw err;
         }
+        await this.recordLedger(leg, 'SUCCESS', quote, sentSig, usdcOutRaw, info);
 
         const tokenInUi = utils.toUiAmount(amountToSell, tokenDecimals);
 
         if (isRecovery) {
-            logInfo(`[RECOVERY] SELL route=${routeName} token_in=${tokenInUi.toFixed(6)} usdc_out=${usdcOutUi.toFixed(4)}`);
+            logInfo(`[RECOVERY] SELL route=${routeName} token_in=${tokenInUi.toFixed(6)} usdc_out=${usdcOutUi.toFixed(4)}${fillNote}${priorityNote(leg)}`);
         } else {
-            logInfo(`[LEG ${legIdx}/${this.config.totalTrades}] SELL route=${routeName} token_in=${tokenInUi.toFixed(6)} usdc_out=${usdcOutUi.toFixed(4)}`);
+            logInfo(`[LEG ${legIdx}/${this.legTarget()}] SELL route=${routeName} token_in=${tokenInUi.toFixed(6)} usdc_out=${usdcOutUi.toFixed(4)}${fillNote}${priorityNote(leg)}`);
 
             const duration = (Date.now() - startTime) / 1000;
-            this.stats.recordLeg(routeName, 'SELL', usdcOutUi, sig, duration * 1000);
+            this.stats.recordLeg(routeName, 'SELL', usdcOutUi, sig, duration * 1000, info ? txmeta.legFees(info, this.owner) : undefined);
+            this.stats.recordTokenFlow(tokenMint, amountToSell, usdcMint, BigInt(usdcOutRaw));
+            this.learnExecTime(duration * 1000);
+        }
+    }
+
+    // `unwind` SELL of amountRaw of a route token. Unlike executeSell it counts no leg:
+    // completedTrades, volume and stats stay as the saved run left them, so a later
+    // --resume sees the same run. Only the pending tx is persisted while it is in flight.
+    private async executeUnwindSell(route: Route, amountRaw: bigint, attempt: number, slippageBps: number) {
+        if (this.state.pendingTx && await this.settlePendingTx(false)) return;
+
+        const leg: LegDraft = {
+            route: route.name,
+            side: 'SELL',
+            inputMint: route.tokenMint,
+            outputMint: route.usdcMint,
+            inAmountRaw: amountRaw.toString(),
+            slippageBps,
+            priorityFee: null,
+            attempt,
+            recovery: true,
+            roundTrip: true
+        };
+        let quote: any = null;
+        let sentSig: string | null = null;
+        let info: txmeta.TxInfo | null = null;
+        let fill: { amount: bigint, note: string };
+
+        try {
+            console.log(`[SELL] Selling ${utils.toUiAmount(amountRaw, utils.getDecimals(route.tokenMint))} units of ${route.name}...`);
+            const prepared = await this.prepareSwap(leg, amountRaw);
+            quote = prepared.quote;
+            sentSig = prepared.signed.signature;
+            await this.broadcast(prepared.signed, leg, quote.outAmount, undefined, true);
+            info = await txmeta.fetchTxInfo(this.connection, sentSig);
+            fill = this.reconcileFill(`SELL ${route.name}`, quote.outAmount, info, route.usdcMint);
+            this.updateStateAfterUnwindSell(route.tokenMint, fill.amount);
+        } catch (err: any) {
+            await this.recordLedger(leg, 'FAILED', quote, sentSig, null, undefined, err.message);
+            throw err;
+        }
+        await this.recordLedger(leg, 'SUCCESS', quote, sentSig, fill.amount.toString(), info);
+        const tokenInUi = utils.toUiAmount(amountRaw, utils.getDecimals(route.tokenMint));
+        logInfo(`[UNWIND] SELL route=${route.name} token_in=${tokenInUi.toFixed(6)} usdc_out=${utils.toUiAmount(fill.amount, 6).toFixed(4)}${fill.note}${priorityNote(leg)}`);
+    }
+
+    // Quote, build and sign a swap. With DRIP_SIMULATE on, walk the legacy fallback
+    // ladder (exclude Meteora DLMM, then direct routes only) on DLMM routes or
+    // compute exhaustion, and refuse to send anything that fails simulation.
+    private async prepareSwap(leg: LegDraft, amount: bigint): Promise<{ quote: any; signed: jupiter.SignedSwap }> {
+        const ladder: { excludeDexes?: string[]; onlyDirectRoutes?: boolean }[] = [
+            {},
+            { excludeDexes: [jupiter.METEORA_DLMM] },
+            { excludeDexes: [jupiter.METEORA_DLMM], onlyDirectRoutes: true }
+        ];
+
+        for (let step = 0; ; step++) {
+            const params = ladder[step];
+            const quote = await jupiter.getQuote(leg.inputMint, leg.outputMint, amount, leg.slippageBps, this.config.jupApiKey, params.excludeDexes, params.onlyDirectRoutes);
+            logDebug(`[QUOTE] ${leg.side} ${leg.route} step=${step} route=${jupiter.routeLabels(quote).join(' -> ') || 'none'}`);
+
+            const fee = await priority.choosePriorityFee(this.connection, this.config.priorityFee, quote, leg.attempt);
+            leg.priorityFee = fee.label;
+            const swap = await jupiter.getSwapTransaction(quote, this.owner, this.config.jupApiKey, fee.body);
+            const signed = jupiter.signSwap(this.keypair, swap);
+            if (!this.config.simulate) return { quote, signed };
+
+            const sim = await jupiter.simulateSwap(this.connection, signed);
+            const computeExceeded = !sim.ok && sim.kind === 'COMPUTE_EXCEEDED';
+            if (step === 0 && (computeExceeded || jupiter.hasMeteoraDLMM(quote))) {
+                logDebug(`[SIMULATE] ${leg.side} ${leg.route}: ${computeExceeded ? 'compute exceeded' : 'Meteora DLMM route'}, re-quoting without Meteora DLMM`);
+                continue;
+            }
+            if (step === 1 && computeExceeded) {
+                logDebug(`[SIMULATE] ${leg.side} ${leg.route}: compute exceeded, re-quoting direct routes only`);
+                continue;
+            }
+            if (!sim.ok) {
+                logDebug(`[SIMULATE][LOGS]\n${sim.logs.join('\n')}`);
+                throw new SwapError(sim.kind!, `Simulation failed (${sim.kind}): ${sim.error}`);
+            }
+            return { quote, signed };
+        }
+    }
+
+    // Persist the signed tx before its first send, then rebroadcast until the outcome
+    // is definitive. FAILED/EXPIRED clear it and throw (a retry re-quotes safely).
+    // If the outcome stays unknown the record is kept and settled before any new swap.
+    private async broadcast(signed: jupiter.SignedSwap, leg: LegDraft, quotedOutAmountRaw: string, intent?: LegIntent, unwind: boolean = false) {
+        const pending: PendingTx = {
+            signature: signed.signature,
+            rawTx: signed.rawTx,
+            lastValidBlockHeight: signed.lastValidBlockHeight,
+            sentAt: Date.now(),
+            quotedOutAmountRaw,
+            leg: { ...leg }
+        };
+        if (leg.side === 'TOPUP') {
+            pending.topUp = true;
+        } else if (unwind) {
+            pending.unwind = true;
+        } else if (intent && !intent.opensPosition) {
+            pending.standalone = true;
+            if (intent.usdcValue !== undefined) pending.usdcValue = intent.usdcValue;
+        }
+        this.state.pendingTx = pending;
+        this.persist();
+
+        const outcome = await jupiter.sendAndConfirm(this.connection, signed);
+        if (outcome.status !== 'LANDED') {
+            this.state.pendingTx = null;
+            this.persist();
+            throw outcomeError(outcome);
+        }
+        // LANDED: cleared by applyLeg/updateStateAfterSell together with the new cycle state
+    }
+
+    // Resolve a swap whose outcome was never observed (crash, RPC outage) and
+    // apply it exactly once. Returns true if it landed.
+    private async settlePendingTx(countLeg: boolean): Promise<boolean> {
+        const p = this.state.pendingTx!;
+        const leg = p.leg;
+        const quote = { outAmount: p.quotedOutAmountRaw };
+        logInfo(`[PENDING] ${leg.side} route=${leg.route} sig=${p.signature} outcome unknown, rebroadcasting until definitive...`);
+
+        const outcome = await jupiter.sendAndConfirm(this.connection, p);
+        if (outcome.status !== 'LANDED') {
+            const error = outcomeError(outcome).message;
+            logInfo(`[PENDING] ${leg.side} route=${leg.route} did not land: ${error}`);
+            this.state.pendingTx = null;
+            this.persist();
+            await this.recordLedger(leg, 'FAILED', quote, p.signature, null, undefined, error);
+            return false;
         }
+
+        const legIdx = this.state.completedTrades + 1;
+        const info = await txmeta.fetchTxInfo(this.connection, p.signature);
+        const fill = this.reconcileFill(`${leg.side} ${leg.route}`, p.quotedOutAmountRaw, info, leg.outputMint);
+        const spent = info ? -txmeta.tokenDelta(info, this.owner, leg.inputMint) : 0n;
+        const cost = spent > 0n ? spent : BigInt(leg.inAmountRaw);
+        if (p.topUp) {
+            // Not a strategy leg: no trade count, volume or position
+            this.state.pendingTx = null;
+            this.persist();
+            await this.recordLedger(leg, 'SUCCESS', quote, p.signature, fill.amount.toString(), info);
+            if (countLeg) this.recordTopUp(leg, cost, fill.amount, info, ` settled=${p.signature}${fill.note}`);
+            return true;
+        }
+        if (p.unwind) {
+            // Not a leg of any run either: it only closes what the unwind sold
+            this.updateStateAfterUnwindSell(leg.inputMint, fill.amount);
+            await this.recordLedger(leg, 'SUCCESS', quote, p.signature, fill.amount.toString(), info);
+            logInfo(`[UNWIND] SELL route=${leg.route} usdc_out=${utils.toUiAmount(fill.amount, 6).toFixed(4)} settled=${p.signature}${fill.note}`);
+            return true;
+        }
+        const usdcValue = legUsd(leg.side, cost, fill.amount, p.usdcValue);
+        if (p.standalone) {
+            this.updateStateAfterLeg(usdcValue);
+        } else if (leg.side === 'BUY') {
+            this.updateStateAfterBuy({ name: leg.route, tokenMint: leg.outputMint, usdcMint: leg.inputMint }, p.signature, fill.amount.toString(), cost.toString());
+        } else {
+            this.updateStateAfterSell(fill.amount);
+        }
+        await this.recordLedger(leg, 'SUCCESS', quote, p.signature, fill.amount.toString(), info);
+
+        logInfo(`[LEG ${legIdx}/${this.legTarget()}] ${leg.side} route=${leg.route} usdc=${usdcValue.toFixed(4)} settled=${p.signature}${fill.note}`);
+        if (countLeg && !leg.recovery) {
+            this.stats.recordLeg(leg.route, leg.side, usdcValue, p.signature, Date.now() - p.sentAt, info ? txmeta.legFees(info, this.owner) : undefined);
+            this.stats.recordTokenFlow(leg.inputMint, cost, leg.outputMint, fill.amount);
+        }
+        return true;
     }
 
-    private pickRandomRoute(): Route {
-        const idx = Math.floor(Math.random() * this.config.routes.length);
-        return this.config.routes[idx];
+    // Actual amount of `mint` received according to the confirmed transaction.
+    // Falls back to the quote (with a warning) when the meta is unavailable.
+    private reconcileFill(legName: string, quotedRaw: string, info: txmeta.TxInfo | null, mint: string): { amount: bigint, note: string } {
+        const quoted = BigInt(quotedRaw);
+        const actual = info ? txmeta.tokenDelta(info, this.owner, mint) : 0n;
+        if (actual <= 0n) {
+            console.warn(`[FILL] ${legName}: no balance change found in transaction meta, using quoted amount ${quoted}`);
+            return { amount: quoted, note: ' fill=quote' };
+        }
+        const bps = txmeta.diffBps(quoted, actual);
+        logDebug(`[FILL] ${legName} quoted=${quoted} actual=${actual} diff=${bps.toFixed(1)}bps`);
+        return { amount: actual, note: ` fill_vs_quote=${bps >= 0 ? '+' : ''}${bps.toFixed(1)}bps` };
+    }
+
+    private async recordLedger(
+        leg: LegDraft,
+        status: 'SUCCESS' | 'FAILED',
+        quote: any,
+        signature: string | null,
+        outAmountRaw: string | null,
+        info?: txmeta.TxInfo | null,
+        error?: string
+    ) {
+        // A failed leg only has meta if it landed with an error; don't wait long for one that never landed
+        if (info === undefined) {
+            info = signature ? await txmeta.fetchTxInfo(this.connection, signature, 1) : null;
+        }
+        const fees = info ? txmeta.legFees(info, this.owner) : null;
+        ledger.appendLeg({
+            ...leg,
+            ts: new Date().toISOString(),
+            runId: this.state.currentCycleId,
+            wallet: this.owner,
+            walletLabel: this.walletId,
+            status,
+            outAmountRaw,
+            quotedOutAmountRaw: quote?.outAmount ?? null,
+            signature,
+            slot: info?.slot ?? null,
+            feeLamports: info?.feeLamports ?? null,
+            baseFeeLamports: fees?.baseLamports ?? null,
+            priorityFeeLamports: fees?.priorityLamports ?? null,
+            rentLamports: fees ? fees.rentPaidLamports - fees.rentRefundedLamports : null,
+            dryRun: this.config.dryRun,
+            error
+        });
     }
 
     private randomFloat(min: number, max: number) {
-        return Math.random() * (max - min) + min;
+        return this.rng() * (max - min) + min;
     }
 
-    private updateStateAfterBuy(route: Route, tx: string, amountRaw: string) {
+    private updateStateAfterBuy(route: Route, tx: string, amountRaw: string, costRaw: string) {
+        const now = Date.now();
         this.state.cycleState = CycleState.BOUGHT;
         this.state.currentRouteName = route.name;
         this.state.currentRouteTokenMint = route.tokenMint;
         this.state.lastBuyTx = tx;
-        this.state.lastBuyTime = Date.now();
+        this.state.lastBuyTime = now;
         this.state.lastBuyAmount = amountRaw;
+        this.state.lastBuyCostRaw = costRaw;
+        this.state.volumeUsd = (this.state.volumeUsd ?? 0) + utils.toUiAmount(costRaw, 6);
+
+        // Deadlines are persisted with the position so a resumed run keeps the same hold
+        const policy = hold.resolveHold(this.config, route.name);
+        if (policy) {
+            const windowEnd = this.state.startTime + this.config.windowSec * 1000;
+            this.state.holdMinUntil = now + policy.minSec * 1000;
+            this.state.holdUntil = Math.min(windowEnd, now + Math.floor(this.randomFloat(policy.minSec, policy.maxSec) * 1000));
+        } else {
+            this.state.holdMinUntil = null;
+            this.state.holdUntil = null;
+        }
         this.state.completedTrades += 1;
-        stateMgr.saveState(this.state);
+        this.state.pendingTx = null;
+        this.persist();
     }
 
-    private updateStateAfterSell() {
+    private applyLeg(intent: LegIntent, tx: string, outAmountRaw: string, spentRaw: string) {
+        if (intent.opensPosition) {
+            this.updateStateAfterBuy({ name: intent.route, tokenMint: intent.outputMint, usdcMint: intent.inputMint }, tx, outAmountRaw, spentRaw);
+        } else {
+            this.updateStateAfterLeg(legUsd(intent.side, spentRaw, outAmountRaw, intent.usdcValue));
+        }
+    }
+
+    // A standalone leg completes on its own: no position, the cycle stays open for the next slot
+    private updateStateAfterLeg(usdcValue: number) {
+        this.state.completedTrades += 1;
+        this.state.volumeUsd = (this.state.volumeUsd ?? 0) + usdcValue;
+        this.state.pendingTx = null;
+        this.persist();
+    }
+
+    private updateStateAfterSell(usdcOutRaw: bigint | string) {
+        if (this.state.lastBuyCostRaw) {
+            this.recordCycleLoss(BigInt(this.state.lastBuyCostRaw), BigInt(usdcOutRaw));
+        }
         this.state.cycleState = CycleState.SOLD;
         this.state.completedTrades += 1;
+        this.state.volumeUsd = (this.state.volumeUsd ?? 0) + utils.toUiAmount(usdcOutRaw, 6);
         this.state.currentRouteName = null;
         this.state.currentRouteTokenMint = null;
         this.state.lastBuyAmount = null;
-        stateMgr.saveState(this.state);
+        this.state.lastBuyCostRaw = null;
+        this.state.holdMinUntil = null;
+        this.state.holdUntil = null;
+        this.state.pendingTx = null;
+        this.persist();
+    }
+
+    // An unwind SELL landed. If it sold the position state has open, that cycle is closed
+    // (its loss counts for today) without counting a leg or volume.
+    private updateStateAfterUnwindSell(tokenMint: string, usdcOutRaw: bigint) {
+        if (this.state.cycleState === CycleState.BOUGHT && this.state.currentRouteTokenMint === tokenMint) {
+            if (this.state.lastBuyCostRaw) {
+                this.priorRunRecovery = true;
+                try {
+                    this.recordCycleLoss(BigInt(this.state.lastBuyCostRaw), usdcOutRaw);
+                } finally {
+                    this.priorRunRecovery = false;
+                }
+            }
+            this.state.cycleState = CycleState.SOLD;
+            this.state.currentRouteName = null;
+            this.state.currentRouteTokenMint = null;
+            this.state.lastBuyAmount = null;
+            this.state.lastBuyCostRaw = null;
+            this.state.holdMinUntil = null;
+            this.state.holdUntil = null;
+        }
+        this.state.pendingTx = null;
+        this.persist();
     }
 
     // --- Helper for Summary ---
@@ -316,13 +1234,13 @@ export class MultiRouteDrip {
             const solBal = await wallet.getBalance(this.connection, this.keypair.publicKey);
             this.startBalances.sol = Number(solBal) / 1e9;
 
-            const usdcBal = await wallet.getTokenBalance(this.connection, this.keypair.publicKey, 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v');
+            const usdcBal = await wallet.getTokenBalance(this.connection, this.keypair.publicKey, USDC_MINT);
             this.startBalances.usdc = Number(usdcBal.amount) / Math.pow(10, usdcBal.decimals);
 
             if (!this.config.dryRun) {
                 try {
-                    const q = await jupiter.getQuote('So11111111111111111111111111111111111111112', 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v', 1000000000n, 50);
-                    this.startBalances.price = Number(q.outAmount) / 1e6;
+                    const prices = await jupiter.getPrices([SOL_MINT], this.config.jupApiKey);
+                    this.startBalances.price = prices[SOL_MINT] ?? 0;
                 } catch (e) { this.startBalances.price = 0; }
             }
         } catch (e) { logDebug('[WARN] Failed to capture start balances'); }
@@ -335,15 +1253,25 @@ export class MultiRouteDrip {
             const solBal = await wallet.getBalance(this.connection, this.keypair.publicKey);
             endSol = Number(solBal) / 1e9;
 
-            const usdcBal = await wallet.getTokenBalance(this.connection, this.keypair.publicKey, 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v');
+            const usdcBal = await wallet.getTokenBalance(this.connection, this.keypair.publicKey, USDC_MINT);
             endUsdc = Number(usdcBal.amount) / Math.pow(10, usdcBal.decimals);
         } catch (e) { }
 
         const elapsed = (Date.now() - this.state.startTime) / 1000;
         logInfo(`[RUN] complete in ${elapsed.toFixed(1)}s`);
 
+        if (this.stopReason) {
+            logInfo(`[RUN] stopped early: ${this.stopReason}`);
+        }
+        if (this.config.lossBudget.runUsdc !== null || this.config.lossBudget.dayUsdc !== null || this.config.lossBudget.cycleBps !== null) {
+            logInfo(`[RUN] round-trip loss=${(this.state.lossUsdc ?? 0).toFixed(4)} USDC (budget run=${this.config.lossBudget.runUsdc ?? '-'} day=${this.config.lossBudget.dayUsdc ?? '-'} cycle=${this.config.lossBudget.cycleBps ?? '-'}bps)`);
+        }
+        if (this.config.volumeTargetUsd) {
+            logInfo(`[RUN] volume=${(this.state.volumeUsd ?? 0).toFixed(2)}/${this.config.volumeTargetUsd} USD (tolerance ±${(this.config.volumeTolerance * 100).toFixed(1)}%)`);
+        }
         this.stats.printSummary(
-            this.config.totalTrades,
+            this.strategy.mode,
+            this.legTarget(),
             this.config.windowSec,
             {
                 startUsdc: this.startBalances.usdc,
@@ -352,7 +1280,19 @@ export class MultiRouteDrip {
                 endSol,
                 solPriceInUsdc: this.startBalances.price
             },
-            this.config.dryRun
+            this.config.dryRun,
+            mint => this.symbolOf(mint)
         );
+
+        return { endUsdc, endSol };
+    }
+
+    private symbolOf(mint: string): string {
+        const token = this.config.tokens.find(t => t.mint === mint);
+        if (token) return token.symbol;
+        if (mint === SOL_MINT) return 'SOL';
+        if (mint === USDC_MINT) return 'USDC';
+        const route = this.config.routes.find(r => r.tokenMint === mint);
+        return route ? route.name.split('-')[0] : mint.slice(0, 4);
     }
 }
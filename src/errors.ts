@@ -0,0 +1,47 @@
+
+export type SwapErrorKind =
+    | 'SLIPPAGE'            // Price moved past slippageBps
+    | 'RATE_LIMIT'          // HTTP 429 from Jupiter or the RPC
+    | 'INSUFFICIENT_FUNDS'  // Wallet cannot cover the amount or fees
+    | 'BLOCKHASH_EXPIRED'   // Transaction can no longer land as built
+    | 'COMPUTE_EXCEEDED'    // Route ran out of compute units
+    | 'UNKNOWN';
+
+// A swap failure whose cause is already known (e.g. from simulation logs)
+export class SwapError extends Error {
+    kind: SwapErrorKind;
+
+    constructor(kind: SwapErrorKind, message: string) {
+        super(message);
+        this.name = 'SwapError';
+        this.kind = kind;
+    }
+}
+
+// Jupiter aggregator custom error 6001 / 0x1771
+const SLIPPAGE_PATTERNS = ['slippagetoleranceexceeded', 'custom program error: 0x1771', '"custom":6001'];
+const FUNDS_PATTERNS = ['insufficient funds', 'insufficientfunds', 'insufficient lamports'];
+const BLOCKHASH_PATTERNS = ['blockhashnotfound', 'blockhash not found'];
+// Same patterns as the legacy logsContainExceededCUs
+const COMPUTE_PATTERNS = ['exceeded cus meter', 'computational budget exhausted', 'computationalbudget'];
+
+// Classify a failed simulation or transaction from its error value and program logs
+export function classifyFailure(err: unknown, logs: string[] | null | undefined): SwapErrorKind {
+    const errText = typeof err === 'string' ? err : JSON.stringify(err) ?? '';
+    const text = `${errText}\n${(logs || []).join('\n')}`.toLowerCase();
+    if (COMPUTE_PATTERNS.some(p => text.includes(p))) return 'COMPUTE_EXCEEDED';
+    if (SLIPPAGE_PATTERNS.some(p => text.includes(p))) return 'SLIPPAGE';
+    if (FUNDS_PATTERNS.some(p => text.includes(p))) return 'INSUFFICIENT_FUNDS';
+    if (BLOCKHASH_PATTERNS.some(p => text.includes(p))) return 'BLOCKHASH_EXPIRED';
+    return 'UNKNOWN';
+}
+
+const RATE_LIMIT_PATTERNS = [' 429', 'too many requests', 'rate limit'];
+
+// Classify any error thrown by a leg, for the retry policy
+export function classifyError(err: any): SwapErrorKind {
+    if (err instanceof SwapError) return err.kind;
+    const message = String(err?.message ?? err);
+    if (RATE_LIMIT_PATTERNS.some(p => message.toLowerCase().includes(p))) return 'RATE_LIMIT';
+    return classifyFailure(message, null);
+}
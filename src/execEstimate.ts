@@ -0,0 +1,101 @@
+
+import * as crypto from 'crypto';
+import * as fs from 'fs';
+import * as path from 'path';
+import { DATA_DIR } from './utils';
+import { writeFileAtomic } from './state';
+
+function estimatesFile(): string {
+    return path.join(DATA_DIR, 'exec_estimates.json');
+}
+
+// Weight of the newest leg in the rolling average
+const EWMA_ALPHA = 0.2;
+// Below this many legs the configured estimate is still used
+const MIN_SAMPLES = 3;
+// One leg stuck in rebroadcast (up to 3 min) must not stall the whole schedule
+const MAX_SAMPLE_FACTOR = 4;
+
+interface EndpointEstimate {
+    legMs: number;    // EWMA of one leg's duration (quote + sign + land)
+    samples: number;
+    updatedAt: string;
+}
+
+// The RPC URL often carries an API key; only the host and a short hash are stored
+export function endpointKey(rpcUrl: string): string {
+    let host = rpcUrl;
+    try {
+        host = new URL(rpcUrl).host || rpcUrl;
+    } catch (e) {
+        // Not a URL (e.g. the harness's fake://rpc); hash it as is
+    }
+    const hash = crypto.createHash('sha256').update(rpcUrl).digest('hex').slice(0, 8);
+    return `${host}#${hash}`;
+}
+
+function readAll(): Record<string, EndpointEstimate> {
+    if (!fs.existsSync(estimatesFile())) return {};
+    try {
+        return JSON.parse(fs.readFileSync(estimatesFile(), 'utf-8'));
+    } catch (e: any) {
+        // Only a tuning hint: start learning again rather than refuse to run
+        console.warn(`[SCHEDULER] Ignoring unreadable ${estimatesFile()}: ${e.message}`);
+        return {};
+    }
+}
+
+// Per-cycle execution time for the scheduler, learned from real leg durations
+// on this RPC endpoint and kept across runs in data/exec_estimates.json.
+export class ExecEstimator {
+    private key: string;
+    private fallbackCycleMs: number;
+    private estimate: EndpointEstimate | null;
+
+    constructor(rpcUrl: string, fallbackCycleMs: number) {
+        this.key = endpointKey(rpcUrl);
+        this.fallbackCycleMs = fallbackCycleMs;
+        this.estimate = readAll()[this.key] ?? null;
+    }
+
+    isLearned(): boolean {
+        return this.estimate !== null && this.estimate.samples >= MIN_SAMPLES;
+    }
+
+    // A cycle is a BUY plus a SELL
+    cycleMs(): number {
+        return this.isLearned() ? Math.round(this.estimate!.legMs * 2) : this.fallbackCycleMs;
+    }
+
+    describe(): string {
+        const sec = (this.cycleMs() / 1000).toFixed(1);
+        if (this.isLearned()) return `${sec}s/cycle (learned from ${this.estimate!.samples} legs on ${this.key})`;
+        const seen = this.estimate ? `${this.estimate.samples}/${MIN_SAMPLES}` : `0/${MIN_SAMPLES}`;
+        return `${sec}s/cycle (configured; ${seen} legs observed on ${this.key})`;
+    }
+
+    observe(legMs: number) {
+        const sample = Math.min(legMs, (this.fallbackCycleMs / 2) * MAX_SAMPLE_FACTOR);
+        const prev = this.estimate;
+        this.estimate = {
+            legMs: prev ? prev.legMs + EWMA_ALPHA * (sample - prev.legMs) : sample,
+            samples: (prev?.samples ?? 0) + 1,
+            updatedAt: new Date().toISOString()
+        };
+        this.save();
+    }
+
+    // Re-read before writing so other endpoints (or another process's) entries survive
+    private save() {
+        try {
+            if (!fs.existsSync(DATA_DIR)) {
+                fs.mkdirSync(DATA_DIR, { recursive: true });
+            }
+            const all = readAll();
+            all[this.key] = this.estimate!;
+            writeFileAtomic(estimatesFile(), JSON.stringify(all, null, 2));
+        } catch (e: any) {
+            console.error(`[SCHEDULER] Failed to save exec estimate: ${e.message}`);
+        }
+    }
+}
@@ -0,0 +1,39 @@
+
+import { DripConfig, DripState, HoldPolicy } from './types';
+
+export type HoldDecision = 'HOLD' | 'TAKE_PROFIT' | 'STOP_LOSS' | 'DEADLINE';
+
+// Route override first (null there disables holding for that route), then the global policy
+export function resolveHold(config: DripConfig, routeName: string | null): HoldPolicy | null {
+    const route = config.routes.find(r => r.name === routeName);
+    if (route && route.hold !== undefined) return route.hold;
+    return config.hold;
+}
+
+// Average hold per cycle over the configured routes, reserved by the scheduler like exec time
+export function expectedHoldMs(config: DripConfig): number {
+    if (config.routes.length === 0) {
+        return config.hold ? (config.hold.minSec + config.hold.maxSec) * 500 : 0;
+    }
+    const total = config.routes.reduce((sum, r) => {
+        const policy = resolveHold(config, r.name);
+        return sum + (policy ? (policy.minSec + policy.maxSec) * 500 : 0);
+    }, 0);
+    return total / config.routes.length;
+}
+
+// Quote value of the position vs what the BUY cost, in bps
+export function pnlBps(costRaw: bigint, valueRaw: bigint): number {
+    if (costRaw <= 0n) return 0;
+    return Number((valueRaw - costRaw) * 10000n / costRaw);
+}
+
+// Stop-loss applies for the whole hold; take-profit only once the minimum hold has passed.
+// pnl is null when no fresh quote is available, which only the deadline can override.
+export function decideExit(policy: HoldPolicy, state: DripState, now: number, pnl: number | null): HoldDecision {
+    if (!state.holdUntil || now >= state.holdUntil) return 'DEADLINE';
+    if (pnl === null) return 'HOLD';
+    if (policy.stopLossBps !== null && pnl <= -policy.stopLossBps) return 'STOP_LOSS';
+    if (policy.takeProfitBps !== null && pnl >= policy.takeProfitBps && now >= (state.holdMinUntil ?? 0)) return 'TAKE_PROFIT';
+    return 'HOLD';
+}
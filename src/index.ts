@@ -1,36 +1,103 @@
 
 import { Connection } from '@solana/web3.js';
 import { loadConfig } from './config';
-import { MultiRouteDrip } from './drip';
-import { deriveKeypair } from './wallet';
+import { runWallets, unwindWallets } from './orchestrator';
 import * as jupiter from './jupiter';
+import * as plan from './plan';
+import * as shutdown from './shutdown';
+import { ExecEstimator } from './execEstimate';
+
+// --name=value
+function flagValue(flags: string[], name: string): string | undefined {
+    const prefix = `--${name}=`;
+    return flags.find(f => f.startsWith(prefix))?.slice(prefix.length);
+}
 
 async function main() {
     const args = process.argv.slice(2);
-    const command = args[0] || 'drip';
+    const flags = args.filter(a => a.startsWith('--'));
+    const command = args.find(a => !a.startsWith('--')) || 'drip';
 
     console.log(`[CLI] Starting Sol-Jupiter-Drip (TypeScript) - Command: ${command}`);
 
+    // --mode=tri_token etc. overrides DRIP_MODE for drip and plan
+    const mode = flagValue(flags, 'mode');
+    if (mode) process.env.DRIP_MODE = mode;
+
     if (command === 'drip') {
         try {
             // Load config first
             const config = loadConfig();
+            if (flags.includes('--resume') && flags.includes('--fresh')) {
+                throw new Error('--resume and --fresh are mutually exclusive');
+            }
+            // Flags override DRIP_RESUME; --fresh restarts counters and the window
+            if (flags.includes('--resume')) config.resume = true;
+            if (flags.includes('--fresh')) config.resume = false;
 
             // Init network
             jupiter.initNetwork();
 
             console.log(`[CLI] Using RPC: ${config.rpcUrl}`);
             const connection = new Connection(config.rpcUrl, 'confirmed');
-            const keypair = deriveKeypair(config.mnemonic);
 
-            const bot = new MultiRouteDrip(connection, keypair, config);
-            await bot.run();
+            // Ctrl-C / SIGTERM: stop after the current cycle, a second one exits at once
+            shutdown.install();
+            const results = await runWallets(connection, config);
+            if (results.every(r => r.status === 'FAILED')) {
+                process.exit(1);
+            }
+            if (shutdown.requestedBy()) {
+                process.exit(shutdown.exitCode());
+            }
+        } catch (e: any) {
+            console.error('[CLI] Error:', e.message);
+            process.exit(1);
+        }
+    } else if (command === 'unwind') {
+        // Sell route tokens the bot bought but no longer tracks; --dry-run only previews
+        try {
+            const config = loadConfig();
+            jupiter.initNetwork();
+            const connection = new Connection(config.rpcUrl, 'confirmed');
+            shutdown.install();
+            const results = await unwindWallets(connection, config, flags.includes('--dry-run'));
+            if (results.some(r => r.status === 'FAILED')) {
+                process.exit(1);
+            }
+        } catch (e: any) {
+            console.error('[CLI] Error:', e.message);
+            process.exit(1);
+        }
+    } else if (command === 'plan') {
+        // Scheduler dry run on a virtual clock: no wallet, RPC or Jupiter access
+        try {
+            const config = loadConfig();
+            if (config.adaptiveExec) {
+                // Plan with the same per-cycle estimate the engine would use on this RPC
+                const estimator = new ExecEstimator(config.rpcUrl, config.estimatedExecMs);
+                console.log(`[PLAN] exec_estimate=${estimator.describe()}`);
+                config.estimatedExecMs = estimator.cycleMs();
+            }
+            const execSpec = flagValue(flags, 'exec');
+            const opts: plan.PlanOptions = {
+                seeds: parseInt(flagValue(flags, 'seeds') || '200', 10),
+                exec: execSpec ? plan.parseExecDistribution(execSpec) : plan.defaultExecDistribution(config),
+                failRate: parseFloat(flagValue(flags, 'fail-rate') || '0'),
+                startMs: flagValue(flags, 'start') ? Date.parse(flagValue(flags, 'start')!) : Date.now()
+            };
+            if (!(opts.seeds > 0) || !(opts.failRate >= 0 && opts.failRate < 1) || isNaN(opts.startMs)) {
+                throw new Error('--seeds must be > 0, --fail-rate in [0, 1) and --start an ISO date');
+            }
+            plan.printPlan(config, opts, plan.planSchedule(config, opts));
         } catch (e: any) {
             console.error('[CLI] Error:', e.message);
             process.exit(1);
         }
     } else {
-        console.log('Usage: ts-node src/index.ts drip');
+        console.log('Usage: ts-node src/index.ts drip [--mode=multi_route|anchor_roundtrip|alternating|tri_token] [--resume | --fresh]');
+        console.log('       ts-node src/index.ts plan [--mode=...] [--seeds=200] [--exec=uniform:10:35] [--fail-rate=0.05] [--start=2025-01-01T00:00:00Z]');
+        console.log('       ts-node src/index.ts unwind [--dry-run]');
         console.log('For legacy modes (SOL_TO_USDC, etc), use: node mvp-swap.js');
     }
 }
@@ -1,7 +1,20 @@
 
-import { Connection, Keypair, VersionedTransaction, TransactionSignature } from '@solana/web3.js';
+import { Connection, Keypair, VersionedTransaction } from '@solana/web3.js';
+import { encodeBase58, sleep } from './utils';
+import { SwapErrorKind, classifyFailure } from './errors';
 import { setGlobalDispatcher, ProxyAgent } from 'undici';
 
+let apiBase = (process.env.JUP_API_BASE || 'https://api.jup.ag').replace(/\/+$/, '');
+
+// Point the client at another Jupiter-compatible host (e.g. the offline fake server)
+export function setApiBase(url: string) {
+    apiBase = url.replace(/\/+$/, '');
+}
+
+export function getApiBase(): string {
+    return apiBase;
+}
+
 // Proxy setup
 export function initNetwork() {
     const PROXY_URL = process.env.PROXY_URL || process.env.HTTPS_PROXY || process.env.HTTP_PROXY;
@@ -25,7 +38,7 @@ export async function getQuote(
     excludeDexes?: string[],
     onlyDirectRoutes?: boolean
 ): Promise<any> {
-    const url = new URL('https://api.jup.ag/swap/v1/quote');
+    const url = new URL(`${apiBase}/swap/v1/quote`);
     url.searchParams.set('inputMint', inputMint);
     url.searchParams.set('outputMint', outputMint);
     url.searchParams.set('amount', amount.toString());
@@ -43,11 +56,51 @@ export async function getQuote(
     return res.json();
 }
 
+// USD prices from Jupiter's price API; mints without a price are left out
+export async function getPrices(mints: string[], apiKey?: string): Promise<Record<string, number>> {
+    const url = new URL(`${apiBase}/price/v3`);
+    url.searchParams.set('ids', mints.join(','));
+
+    const headers: Record<string, string> = {};
+    if (apiKey) headers['x-api-key'] = apiKey;
+
+    const res = await fetch(url.toString(), { headers });
+    if (!res.ok) {
+        throw new Error(`Price failed: ${res.status} ${await res.text()}`);
+    }
+    const json = await res.json();
+    const prices: Record<string, number> = {};
+    for (const mint of mints) {
+        const usdPrice = json?.[mint]?.usdPrice;
+        if (typeof usdPrice === 'number') prices[mint] = usdPrice;
+    }
+    return prices;
+}
+
+export interface SwapTransaction {
+    swapTransaction: string;      // base64, unsigned
+    lastValidBlockHeight: number; // The tx can no longer land once the chain passes this height
+}
+
+export interface SignedSwap {
+    signature: string;
+    rawTx: string; // base64, signed; rebroadcast as-is
+    lastValidBlockHeight: number;
+}
+
+// Definitive result of a broadcast: only LANDED moved funds; after FAILED or
+// EXPIRED the transaction can never land, so a new attempt cannot double-execute.
+export type SendOutcome =
+    | { status: 'LANDED'; signature: string }
+    | { status: 'FAILED'; signature: string; error: string }
+    | { status: 'EXPIRED'; signature: string };
+
 export async function getSwapTransaction(
     quoteResponse: any,
     userPublicKey: string,
-    apiKey?: string
-): Promise<string> {
+    apiKey?: string,
+    extraBody: Record<string, any> = {} // e.g. priority fee fields
+): Promise<SwapTransaction> {
     const headers: Record<string, string> = { 'Content-Type': 'application/json' };
     if (apiKey) headers['x-api-key'] = apiKey;
 
@@ -55,10 +108,11 @@ export async function getSwapTransaction(
         quoteResponse,
         userPublicKey,
         wrapAndUnwrapSol: true,
-        dynamicComputeUnitLimit: true
+        dynamicComputeUnitLimit: true,
+        ...extraBody
     };
 
-    const res = await fetch('https://api.jup.ag/swap/v1/swap', {
+    const res = await fetch(`${apiBase}/swap/v1/swap`, {
         method: 'POST',
         headers,
         body: JSON.stringify(body)
@@ -69,42 +123,109 @@ export async function getSwapTransaction(
     }
 
     const json = await res.json();
-    return json.swapTransaction;
+    if (typeof json.lastValidBlockHeight !== 'number') {
+        throw new Error('Swap API response missing lastValidBlockHeight');
+    }
+    return { swapTransaction: json.swapTransaction, lastValidBlockHeight: json.lastValidBlockHeight };
 }
 
-export async function executeSwap(
-    connection: Connection,
-    keypair: Keypair,
-    swapTransactionBase64: string
-): Promise<string> {
-    const txBuf = Buffer.from(swapTransactionBase64, 'base64');
-    const tx = VersionedTransaction.deserialize(txBuf);
+export function signSwap(keypair: Keypair, swap: SwapTransaction): SignedSwap {
+    const tx = VersionedTransaction.deserialize(Buffer.from(swap.swapTransaction, 'base64'));
     tx.sign([keypair]);
+    return {
+        signature: encodeBase58(tx.signatures[0]),
+        rawTx: Buffer.from(tx.serialize()).toString('base64'),
+        lastValidBlockHeight: swap.lastValidBlockHeight
+    };
+}
 
-    const raw = tx.serialize();
-    const sig = await connection.sendRawTransaction(raw, {
-        skipPreflight: true, // We rely on polling/sim, or standard retry
-        maxRetries: 2
-    });
-    return sig;
+// Jupiter dex label; excluded first when a route fails on compute budget
+export const METEORA_DLMM = 'Meteora DLMM';
+
+export function routeLabels(quote: any): string[] {
+    return (quote?.routePlan || []).map((p: any) => p?.swapInfo?.label ?? p?.label).filter(Boolean);
+}
+
+export function hasMeteoraDLMM(quote: any): boolean {
+    return routeLabels(quote).some(l => l.toLowerCase().includes('meteora') && l.toLowerCase().includes('dlmm'));
+}
+
+export interface SimulationResult {
+    ok: boolean;
+    kind?: SwapErrorKind;
+    error?: string;
+    logs: string[];
+    unitsConsumed?: number;
+}
+
+export async function simulateSwap(connection: Connection, signed: SignedSwap): Promise<SimulationResult> {
+    const tx = VersionedTransaction.deserialize(Buffer.from(signed.rawTx, 'base64'));
+    const { value } = await connection.simulateTransaction(tx, { sigVerify: false, commitment: 'processed' });
+    const logs = value.logs || [];
+    if (!value.err) {
+        return { ok: true, logs, unitsConsumed: value.unitsConsumed };
+    }
+    return {
+        ok: false,
+        kind: classifyFailure(value.err, logs),
+        error: JSON.stringify(value.err),
+        logs,
+        unitsConsumed: value.unitsConsumed
+    };
 }
 
-export async function confirmTransaction(
+// null while the transaction can still land
+export async function checkSignature(
     connection: Connection,
     signature: string,
-    timeoutMs: number = 60000
-): Promise<boolean> {
+    lastValidBlockHeight: number
+): Promise<SendOutcome | null> {
+    const { value } = await connection.getSignatureStatuses([signature]);
+    let status = value[0];
+
+    if (!status) {
+        const height = await connection.getBlockHeight('confirmed');
+        if (height <= lastValidBlockHeight) return null;
+        // Expired blockhash: look past the recent status cache before calling it dropped
+        const history = await connection.getSignatureStatuses([signature], { searchTransactionHistory: true });
+        status = history.value[0];
+        if (!status) return { status: 'EXPIRED', signature };
+    }
+
+    if (status.err) return { status: 'FAILED', signature, error: JSON.stringify(status.err) };
+    if (status.confirmationStatus === 'confirmed' || status.confirmationStatus === 'finalized') {
+        return { status: 'LANDED', signature };
+    }
+    return null; // Processed only; wait for confirmation
+}
+
+// Rebroadcast every rebroadcastMs until the transaction lands, fails, or its
+// blockhash expires. RPC errors are retried; if no definitive answer arrives
+// within maxWaitMs this throws and the outcome must be treated as unknown.
+export async function sendAndConfirm(
+    connection: Connection,
+    signed: SignedSwap,
+    rebroadcastMs: number = 2000,
+    maxWaitMs: number = 180000
+): Promise<SendOutcome> {
+    const raw = Buffer.from(signed.rawTx, 'base64');
     const start = Date.now();
-    while (Date.now() - start < timeoutMs) {
-        const { value } = await connection.getSignatureStatuses([signature]);
-        const status = value[0];
-        if (status) {
-            if (status.err) throw new Error(`Transaction failed: ${JSON.stringify(status.err)}`);
-            if (status.confirmationStatus === 'confirmed' || status.confirmationStatus === 'finalized') {
-                return true;
-            }
+    let lastError = 'no status';
+
+    while (Date.now() - start < maxWaitMs) {
+        try {
+            await connection.sendRawTransaction(raw, { skipPreflight: true, maxRetries: 0 });
+        } catch (e: any) {
+            // e.g. "already processed"; the status check below is authoritative
+            lastError = e.message;
+        }
+        try {
+            const outcome = await checkSignature(connection, signed.signature, signed.lastValidBlockHeight);
+            if (outcome) return outcome;
+        } catch (e: any) {
+            lastError = e.message;
         }
-        await new Promise(r => setTimeout(r, 2000));
+        await sleep(rebroadcastMs);
     }
-    throw new Error('Confirmation timeout');
+    throw new Error(`Outcome unknown for ${signed.signature} after ${maxWaitMs / 1000}s (${lastError})`);
 }
@@ -0,0 +1,72 @@
+
+import * as fs from 'fs';
+import * as path from 'path';
+import { DATA_DIR } from './utils';
+
+function ledgerFile(): string {
+    return path.join(DATA_DIR, 'ledger.jsonl');
+}
+
+// BUY = USDC in, SELL = USDC out, SWAP = token to token (tri_token)
+export type LegSide = 'BUY' | 'SELL' | 'SWAP' | 'TOPUP'; // TOPUP: USDC -> SOL for gas, not a strategy leg
+
+// One line per leg attempt that reached the swap stage, successful or not.
+// Amounts are raw integer strings in the mint's base units.
+export interface LedgerEntry {
+    ts: string;
+    runId: string;
+    wallet: string;        // Public key
+    walletLabel?: string;
+    route: string;
+    side: LegSide;
+    status: 'SUCCESS' | 'FAILED';
+    inputMint: string;
+    outputMint: string;
+    inAmountRaw: string;            // Amount sent into the swap
+    outAmountRaw: string | null;    // Amount actually received (null if unknown)
+    quotedOutAmountRaw: string | null;
+    signature: string | null;
+    slot: number | null;
+    feeLamports: number | null;     // Total transaction fee from meta
+    baseFeeLamports: number | null;
+    priorityFeeLamports: number | null;
+    rentLamports: number | null;    // Token-account rent paid minus refunded
+    slippageBps: number;
+    priorityFee: string | null;     // Priority fee choice (see priority.ts), null in dry-run
+    attempt: number;                // 1-based attempt within the retry loop
+    recovery: boolean;              // Unwind of a previous run's open cycle
+    roundTrip?: boolean;            // BUY that opened a position, or the SELL closing it; absent on older lines
+    dryRun: boolean;
+    error?: string;
+}
+
+// appendFileSync with a single write per line: a crash can at worst drop the
+// last line, never interleave or rewrite earlier history.
+export function appendLeg(entry: LedgerEntry) {
+    try {
+        if (!fs.existsSync(DATA_DIR)) {
+            fs.mkdirSync(DATA_DIR, { recursive: true });
+        }
+        fs.appendFileSync(ledgerFile(), JSON.stringify(entry) + '\n');
+    } catch (e: any) {
+        // The ledger is reporting, not control flow: never fail a leg over it
+        console.error(`[LEDGER] Failed to append entry: ${e.message}`);
+    }
+}
+
+export function readLedger(filter?: (e: LedgerEntry) => boolean): LedgerEntry[] {
+    if (!fs.existsSync(ledgerFile())) return [];
+
+    const entries: LedgerEntry[] = [];
+    const lines = fs.readFileSync(ledgerFile(), 'utf-8').split('\n');
+    for (const line of lines) {
+        if (!line.trim()) continue;
+        try {
+            const entry = JSON.parse(line) as LedgerEntry;
+            if (!filter || filter(entry)) entries.push(entry);
+        } catch (e) {
+            // A truncated last line from a crash: skip it
+        }
+    }
+    return entries;
+}
@@ -0,0 +1,20 @@
+
+import { sendTelegram } from '../notifier/telegram';
+import { TelegramConfig } from './types';
+
+// Telegram parses messages as Markdown: keep route names and reasons literal
+function escapeMarkdown(text: string): string {
+    return text.replace(/([_*`\[])/g, '\\$1');
+}
+
+// Best effort through the legacy notifier (it retries and never throws); a no-op when not configured
+export async function notify(telegram: TelegramConfig | null, title: string, lines: string[]) {
+    if (!telegram) return;
+    const message = [`*${escapeMarkdown(title)}*`, ...lines.map(escapeMarkdown)].join('\n');
+    await sendTelegram(message, {
+        botToken: telegram.botToken,
+        chatId: telegram.chatId,
+        timeoutMs: telegram.timeoutMs,
+        maxRetry: telegram.maxRetry
+    });
+}
@@ -0,0 +1,198 @@
+
+import * as fs from 'fs';
+import { Connection } from '@solana/web3.js';
+import { DripConfig, WalletEntry, WalletRunResult } from './types';
+import { MultiRouteDrip } from './drip';
+import { deriveKeypair } from './wallet';
+import { deriveSeed } from './rng';
+import { UnwindResult } from './unwind';
+import * as shutdown from './shutdown';
+
+const WALLETS_JSON = 'wallets.json';
+const WALLET_COOLDOWN_MS = 2000;
+
+// Same sources and precedence as the legacy runMultiDrip:
+// 1. WALLET_KEYS (+ WALLET_LABELS), 2. WALLET_n_MNEMONIC, 3. wallets.json.
+// Falls back to the single SOLANA_MNEMONIC wallet when none of those are set.
+export function loadWallets(fallbackMnemonic?: string): WalletEntry[] {
+    const wallets: WalletEntry[] = [];
+
+    if (process.env.WALLET_KEYS) {
+        const keys = process.env.WALLET_KEYS.split(',').map(k => k.trim()).filter(Boolean);
+        const labels = (process.env.WALLET_LABELS || '').split(',').map(l => l.trim());
+        keys.forEach((mnemonic, idx) => {
+            wallets.push({ id: labels[idx] || `w${idx + 1}`, mnemonic });
+        });
+    }
+
+    let i = 1;
+    while (process.env[`WALLET_${i}_MNEMONIC`]) {
+        wallets.push({ id: `w${i}`, mnemonic: process.env[`WALLET_${i}_MNEMONIC`]! });
+        i++;
+    }
+
+    if (fs.existsSync(WALLETS_JSON)) {
+        try {
+            const json = JSON.parse(fs.readFileSync(WALLETS_JSON, 'utf8'));
+            if (Array.isArray(json)) {
+                json.forEach((item: any, idx: number) => {
+                    if (typeof item === 'string') {
+                        wallets.push({ id: `json_${idx + 1}`, mnemonic: item });
+                    } else if (item && item.mnemonic) {
+                        wallets.push({ id: item.id || `json_${idx + 1}`, mnemonic: item.mnemonic });
+                    }
+                });
+            }
+        } catch (e: any) {
+            console.error(`[MULTI] Failed to load ${WALLETS_JSON}: ${e.message}`);
+        }
+    }
+
+    if (wallets.length === 0 && fallbackMnemonic) {
+        wallets.push({ id: 'main', mnemonic: fallbackMnemonic });
+    }
+
+    // The same mnemonic listed twice would race on one on-chain account
+    const seen = new Set<string>();
+    return wallets.filter(w => {
+        const key = w.mnemonic.trim().split(/\s+/).join(' ');
+        if (seen.has(key)) {
+            console.warn(`[MULTI] Duplicate wallet ${w.id} skipped.`);
+            return false;
+        }
+        seen.add(key);
+        return true;
+    });
+}
+
+export async function runWallets(connection: Connection, config: DripConfig): Promise<WalletRunResult[]> {
+    const wallets = loadWallets(config.mnemonic);
+    if (wallets.length === 0) {
+        throw new Error('No wallets found. Set WALLET_KEYS, SOLANA_MNEMONIC or create wallets.json');
+    }
+
+    console.log(`[MULTI] Starting orchestrator for ${wallets.length} wallet(s) (sequential) seed=${config.seed}`);
+
+    const results: WalletRunResult[] = [];
+    for (let idx = 0; idx < wallets.length; idx++) {
+        const w = wallets[idx];
+        console.log(`\n[MULTI] [${idx + 1}/${wallets.length}] Processing Wallet: ${w.id}`);
+
+        try {
+            const keypair = deriveKeypair(w.mnemonic);
+            const bot = new MultiRouteDrip(connection, keypair, { ...config, seed: deriveSeed(config.seed, idx) }, w.id);
+            const result = await bot.run();
+            results.push(result);
+            console.log(`[MULTI] Wallet ${w.id} ${result.status === 'FAILED' ? 'FAILED' : result.stopReason ? 'STOPPED' : 'COMPLETED'}.`);
+        } catch (e: any) {
+            // Setup failures (bad mnemonic, state IO) must not stop the remaining wallets
+            console.error(`[MULTI] Wallet ${w.id} FAILED: ${e.message}`);
+            results.push(failedResult(w.id, config, e.message));
+        }
+
+        if (idx < wallets.length - 1) {
+            console.log(`[MULTI] Cooling down ${WALLET_COOLDOWN_MS / 1000}s before next wallet...`);
+            await shutdown.sleep(WALLET_COOLDOWN_MS);
+        }
+        if (shutdown.requestedBy() && idx < wallets.length - 1) {
+            console.warn(`[MULTI] Shutdown requested: skipping ${wallets.length - idx - 1} remaining wallet(s).`);
+            break;
+        }
+    }
+
+    printCombinedSummary(results, config.dryRun);
+    return results;
+}
+
+// `unwind` command: the same wallets, one after another, selling only what the bot bought
+export async function unwindWallets(connection: Connection, config: DripConfig, preview: boolean): Promise<UnwindResult[]> {
+    const wallets = loadWallets(config.mnemonic);
+    if (wallets.length === 0) {
+        throw new Error('No wallets found. Set WALLET_KEYS, SOLANA_MNEMONIC or create wallets.json');
+    }
+    console.log(`[UNWIND] ${preview ? 'Preview' : 'Selling'} bot-held route tokens in ${wallets.length} wallet(s)`);
+
+    const results: UnwindResult[] = [];
+    for (const w of wallets) {
+        console.log(`\n[UNWIND] Wallet: ${w.id}`);
+        try {
+            const bot = new MultiRouteDrip(connection, deriveKeypair(w.mnemonic), config, w.id);
+            results.push(await bot.unwind(preview));
+        } catch (e: any) {
+            console.error(`[UNWIND] Wallet ${w.id} FAILED: ${e.message}`);
+            results.push({ walletId: w.id, address: '', status: 'FAILED', error: e.message, preview, sells: 0, usdcOut: 0 });
+        }
+        if (shutdown.requestedBy()) break;
+    }
+
+    console.log(`\n=== UNWIND ${preview ? 'PREVIEW ' : ''}SUMMARY ===`);
+    for (const r of results) {
+        const status = r.status === 'FAILED' ? `FAILED (${r.error || 'unknown'})` : 'OK';
+        console.log(`- ${r.walletId} (${shortAddress(r.address)}): ${status}  sells=${r.sells}  USDC_out=${preview ? '~' : ''}${r.usdcOut.toFixed(4)}`);
+    }
+    if (preview) console.log('Preview only: nothing was sent. Run without --dry-run to sell.');
+    console.log('=============================\n');
+    return results;
+}
+
+function failedResult(walletId: string, config: DripConfig, error: string): WalletRunResult {
+    return {
+        walletId,
+        address: '',
+        status: 'FAILED',
+        error,
+        targetLegs: config.totalTrades,
+        completedLegs: 0,
+        usdcIn: 0,
+        usdcOut: 0,
+        feeLamports: 0,
+        startUsdc: 0,
+        endUsdc: 0,
+        startSol: 0,
+        endSol: 0,
+        elapsedMs: 0
+    };
+}
+
+function shortAddress(address: string): string {
+    return address ? `${address.slice(0, 4)}...${address.slice(-4)}` : '?';
+}
+
+export function printCombinedSummary(results: WalletRunResult[], dryRun: boolean) {
+    const ok = results.filter(r => r.status === 'SUCCESS').length;
+
+    console.log('\n=== SUMMARY (all wallets) ===');
+    console.log(`Wallets: ${results.length} | OK: ${ok} | Failed: ${results.length - ok}`);
+
+    let legs = 0;
+    let usdcIn = 0;
+    let usdcOut = 0;
+    let feeLamports = 0;
+    let usdcDelta = 0;
+    let solDelta = 0;
+
+    console.log('\nPer-wallet:');
+    for (const r of results) {
+        const net = r.usdcOut - r.usdcIn;
+        const status = r.status === 'FAILED' ? `FAILED (${r.error || 'unknown'})` : r.stopReason ? `STOPPED (${r.stopReason})` : 'OK';
+        console.log(`- ${r.walletId} (${shortAddress(r.address)}): ${status}  legs=${r.completedLegs}/${r.targetLegs}  USDC_in=${r.usdcIn.toFixed(4)}  USDC_out=${r.usdcOut.toFixed(4)}  net=${net.toFixed(4)}`);
+
+        legs += r.completedLegs;
+        usdcIn += r.usdcIn;
+        usdcOut += r.usdcOut;
+        feeLamports += r.feeLamports;
+        if (r.address) {
+            usdcDelta += r.endUsdc - r.startUsdc;
+            solDelta += r.endSol - r.startSol;
+        }
+    }
+
+    console.log('\nTotals:');
+    console.log(`- Legs: ${legs}  USDC_in=${usdcIn.toFixed(4)}  USDC_out=${usdcOut.toFixed(4)}  net=${(usdcOut - usdcIn).toFixed(4)}  fees=${(feeLamports / 1e9).toFixed(6)} SOL`);
+    if (dryRun) {
+        console.log('- Balance change: N/A (dry-run)');
+    } else {
+        console.log(`- Balance change: USDC Δ ${usdcDelta.toFixed(4)} | SOL Δ ${solDelta.toFixed(6)}`);
+    }
+    console.log('=============================\n');
+}
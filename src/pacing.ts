@@ -0,0 +1,175 @@
+
+import { PacingProfile } from './types';
+import { Rng } from './rng';
+
+const MINUTE_MS = 60_000;
+const DAY_MIN = 24 * 60;
+
+// "HH" or "HH:MM" -> minutes after midnight
+function parseClock(value: string, what: string): number {
+    const m = /^(\d{1,2})(?::(\d{2}))?$/.exec(value.trim());
+    const hours = m ? parseInt(m[1], 10) : NaN;
+    const minutes = m && m[2] ? parseInt(m[2], 10) : 0;
+    if (!m || hours > 24 || minutes > 59 || hours * 60 + minutes > DAY_MIN) {
+        throw new Error(`Invalid ${what} time: ${value}. Use HH or HH:MM.`);
+    }
+    return hours * 60 + minutes;
+}
+
+// hours:   "13-21:3,0-6:0.2,7:2" -> weight per hour of day; unlisted hours weigh 1, ranges are end-exclusive and may wrap midnight
+// quiet:   "02:00-02:30,23:50-00:10" -> no trades start inside these windows
+// utcOffsetHours: clock the profile is written in (8 = UTC+8)
+// Returns null when neither is set, which keeps the plain uniform delay.
+export function parsePacingProfile(hours: string | undefined, quiet: string | undefined, utcOffsetHours: number): PacingProfile | null {
+    if (!hours && !quiet) return null;
+    if (!Number.isFinite(utcOffsetHours) || Math.abs(utcOffsetHours) > 14) {
+        throw new Error(`Invalid DRIP_PACING_UTC_OFFSET: ${utcOffsetHours}`);
+    }
+
+    const hourWeights = new Array(24).fill(1);
+    for (const part of (hours || '').split(',').map(s => s.trim()).filter(Boolean)) {
+        const m = /^(\d{1,2})(?:-(\d{1,2}))?:(\d+(?:\.\d+)?)$/.exec(part);
+        if (!m) throw new Error(`Invalid DRIP_PACING_HOURS entry: ${part}. Use H:W or H-H:W.`);
+        const start = parseInt(m[1], 10);
+        const end = m[2] !== undefined ? parseInt(m[2], 10) : start + 1;
+        if (start > 23 || end > 24) throw new Error(`Invalid hour in DRIP_PACING_HOURS entry: ${part}`);
+        const span = ((end - start) % 24 + 24) % 24 || 24;
+        for (let i = 0; i < span; i++) {
+            hourWeights[(start + i) % 24] = parseFloat(m[3]);
+        }
+    }
+
+    const quietWindows = (quiet || '').split(',').map(s => s.trim()).filter(Boolean).map(part => {
+        const [from, to] = part.split('-');
+        if (to === undefined) throw new Error(`Invalid DRIP_QUIET_WINDOWS entry: ${part}. Use HH:MM-HH:MM.`);
+        return { startMin: parseClock(from, 'quiet window') % DAY_MIN, endMin: parseClock(to, 'quiet window') % DAY_MIN };
+    });
+
+    const profile: PacingProfile = { hourWeights, quietWindows, utcOffsetMin: Math.round(utcOffsetHours * 60) };
+    let openMinutes = 0;
+    for (let min = 0; min < DAY_MIN; min++) {
+        if (minuteWeight(profile, min) > 0) openMinutes++;
+    }
+    if (openMinutes === 0) {
+        throw new Error('Pacing profile leaves no time to trade: every hour has weight 0 or is a quiet window.');
+    }
+    return profile;
+}
+
+function inWindow(min: number, w: { startMin: number; endMin: number }): boolean {
+    return w.startMin <= w.endMin ? min >= w.startMin && min < w.endMin : min >= w.startMin || min < w.endMin;
+}
+
+// Weight of a minute of the profile's day (0 .. 1439)
+function minuteWeight(profile: PacingProfile, minuteOfDay: number): number {
+    if (profile.quietWindows.some(w => inWindow(minuteOfDay, w))) return 0;
+    return profile.hourWeights[Math.floor(minuteOfDay / 60)];
+}
+
+interface Segment { startMs: number; endMs: number; weight: number } // Within the profile's day
+
+const segmentCache = new WeakMap<PacingProfile, Segment[]>();
+
+// The day as runs of constant weight, so long windows are walked segment by segment, not minute by minute
+function daySegments(profile: PacingProfile): Segment[] {
+    let segments = segmentCache.get(profile);
+    if (!segments) {
+        segments = [];
+        for (let min = 0; min < DAY_MIN; min++) {
+            const weight = minuteWeight(profile, min);
+            const last = segments[segments.length - 1];
+            if (last && last.weight === weight) {
+                last.endMs += MINUTE_MS;
+            } else {
+                segments.push({ startMs: min * MINUTE_MS, endMs: (min + 1) * MINUTE_MS, weight });
+            }
+        }
+        segmentCache.set(profile, segments);
+    }
+    return segments;
+}
+
+function dayOffsetMs(profile: PacingProfile, ms: number): number {
+    const dayMs = DAY_MIN * MINUTE_MS;
+    return ((ms + profile.utcOffsetMin * MINUTE_MS) % dayMs + dayMs) % dayMs;
+}
+
+export function weightAt(profile: PacingProfile, ms: number): number {
+    return minuteWeight(profile, Math.floor(dayOffsetMs(profile, ms) / MINUTE_MS));
+}
+
+// Hour of day (0-23) in the profile's clock, for reporting
+export function hourOf(profile: PacingProfile, ms: number): number {
+    return Math.floor(dayOffsetMs(profile, ms) / (60 * MINUTE_MS));
+}
+
+// Walk [fromMs, toMs) in pieces of constant weight; fn returns true to stop
+function forEachPiece(profile: PacingProfile, fromMs: number, toMs: number, fn: (start: number, end: number, weight: number) => boolean | void) {
+    const segments = daySegments(profile);
+    let t = fromMs;
+    while (t < toMs) {
+        const offset = dayOffsetMs(profile, t);
+        const seg = segments.find(s => offset < s.endMs)!;
+        const end = Math.min(toMs, t + (seg.endMs - offset));
+        if (fn(t, end, seg.weight) === true) return;
+        t = end;
+    }
+}
+
+// Weighted duration of [fromMs, toMs): quiet time counts 0, busy hours count extra
+export function weightedSpan(profile: PacingProfile, fromMs: number, toMs: number): number {
+    let total = 0;
+    forEachPiece(profile, fromMs, toMs, (start, end, weight) => { total += (end - start) * weight; });
+    return total;
+}
+
+// Earliest time at or after fromMs by which `mass` weighted time has accumulated (capped at limitMs)
+function advance(profile: PacingProfile, fromMs: number, mass: number, limitMs: number): number {
+    let result = limitMs;
+    let left = mass;
+    forEachPiece(profile, fromMs, limitMs, (start, end, weight) => {
+        const piece = (end - start) * weight;
+        if (weight > 0 && piece >= left) {
+            result = start + left / weight;
+            return true;
+        }
+        left -= piece;
+    });
+    return result;
+}
+
+// Wait from `now` until a cycle may start: 0 in tradable time, else to the end of the
+// quiet window or weight-0 hours. Behind schedule this replaces the zero delay.
+export function untilOpen(profile: PacingProfile, now: number): number {
+    let open = now;
+    forEachPiece(profile, now, now + DAY_MIN * MINUTE_MS, (start, _end, weight) => {
+        open = start;
+        return weight > 0;
+    });
+    return open - now;
+}
+
+// Same budget rule as the uniform scheduler, measured in weighted time: each of the
+// remaining cycles may use up to its share (times safetyFactor) of the weighted time
+// left before the exec reserve, so the run still ends inside the window, while the
+// wait itself stretches through quiet and low-weight hours and shrinks in busy ones.
+// Returns null when the remaining window has no tradable time (caller falls back).
+export function sampleDelay(
+    profile: PacingProfile,
+    now: number,
+    spareMs: number,
+    remainingCycles: number,
+    safetyFactor: number,
+    minDelayMs: number,
+    rng: Rng
+): number | null {
+    const totalMass = weightedSpan(profile, now, now + spareMs);
+    if (totalMass <= 0) return null;
+
+    const minMass = weightedSpan(profile, now, now + minDelayMs);
+    const maxMass = totalMass / remainingCycles * safetyFactor;
+    if (maxMass < minMass) return untilOpen(profile, now); // Hurry up, but not inside a quiet window
+
+    const mass = rng() * (maxMass - minMass) + minMass;
+    return Math.max(minDelayMs, Math.floor(advance(profile, now, mass, now + spareMs) - now));
+}
@@ -0,0 +1,200 @@
+
+import { CycleState, DripConfig, DripState } from './types';
+import * as scheduler from './scheduler';
+import { Rng, createRng, deriveSeed } from './rng';
+import { hourOf } from './pacing';
+import { resolveHold } from './hold';
+import { legsPerCycle } from './strategies';
+import { estimatedLegs } from './volume';
+
+// Time one leg attempt takes (quote + swap + confirmation), in milliseconds
+export type ExecDistribution =
+    | { kind: 'fixed'; ms: number }
+    | { kind: 'uniform'; minMs: number; maxMs: number }
+    | { kind: 'normal'; meanMs: number; sdMs: number }
+    | { kind: 'lognormal'; medianMs: number; sigma: number };
+
+export interface PlanOptions {
+    seeds: number;
+    exec: ExecDistribution;
+    failRate: number; // Chance a leg attempt fails and is retried after failBackoffSec
+    startMs: number;  // Wall-clock start of the simulated runs (matters with a pacing profile)
+}
+
+export interface PlanReport {
+    runs: number;
+    finishMs: number[];     // Sorted ascending
+    overruns: number;       // Runs finishing after windowSec
+    aborted: number;        // Runs that exhausted a leg's retries
+    delaysMs: number[];     // Every pre-BUY wait across all runs
+    buyHours: number[];     // BUYs started per hour of the pacing profile's day
+}
+
+// "fixed:25", "uniform:10:40", "normal:25:8", "lognormal:20:0.5" (seconds; sigma unitless)
+export function parseExecDistribution(spec: string): ExecDistribution {
+    const [kind, ...rest] = spec.split(':');
+    const nums = rest.map(Number);
+    if (nums.some(n => !Number.isFinite(n) || n < 0)) {
+        throw new Error(`Invalid exec distribution: ${spec}`);
+    }
+    switch (kind) {
+        case 'fixed':
+            if (nums.length === 1) return { kind, ms: nums[0] * 1000 };
+            break;
+        case 'uniform':
+            if (nums.length === 2 && nums[0] <= nums[1]) return { kind, minMs: nums[0] * 1000, maxMs: nums[1] * 1000 };
+            break;
+        case 'normal':
+            if (nums.length === 2) return { kind, meanMs: nums[0] * 1000, sdMs: nums[1] * 1000 };
+            break;
+        case 'lognormal':
+            if (nums.length === 2) return { kind, medianMs: nums[0] * 1000, sigma: nums[1] };
+            break;
+    }
+    throw new Error(`Invalid exec distribution: ${spec}. Use fixed:S, uniform:MIN:MAX, normal:MEAN:SD or lognormal:MEDIAN:SIGMA (seconds).`);
+}
+
+// Without a model, assume legs take 50%-150% of the scheduler's own per-leg estimate
+export function defaultExecDistribution(config: DripConfig): ExecDistribution {
+    const perLeg = config.estimatedExecMs / 2;
+    return { kind: 'uniform', minMs: perLeg * 0.5, maxMs: perLeg * 1.5 };
+}
+
+export function describeExec(d: ExecDistribution): string {
+    const s = (ms: number) => `${(ms / 1000).toFixed(1)}s`;
+    switch (d.kind) {
+        case 'fixed': return `fixed ${s(d.ms)}`;
+        case 'uniform': return `uniform ${s(d.minMs)}-${s(d.maxMs)}`;
+        case 'normal': return `normal mean=${s(d.meanMs)} sd=${s(d.sdMs)}`;
+        case 'lognormal': return `lognormal median=${s(d.medianMs)} sigma=${d.sigma}`;
+    }
+}
+
+function gaussian(rng: Rng): number {
+    // Box-Muller; 1 - rng() keeps the log argument in (0, 1]
+    return Math.sqrt(-2 * Math.log(1 - rng())) * Math.cos(2 * Math.PI * rng());
+}
+
+function sampleExec(d: ExecDistribution, rng: Rng): number {
+    switch (d.kind) {
+        case 'fixed': return d.ms;
+        case 'uniform': return d.minMs + rng() * (d.maxMs - d.minMs);
+        case 'normal': return Math.max(0, d.meanMs + gaussian(rng) * d.sdMs);
+        case 'lognormal': return d.medianMs * Math.exp(gaussian(rng) * d.sigma);
+    }
+}
+
+// Hold of a random route, run to its deadline (take-profit / stop-loss exits only shorten it)
+function sampleHoldMs(config: DripConfig, rng: Rng): number {
+    const route = config.routes.length ? config.routes[Math.floor(rng() * config.routes.length)] : null;
+    const policy = resolveHold(config, route ? route.name : null);
+    return policy ? (policy.minSec + rng() * (policy.maxSec - policy.minSec)) * 1000 : 0;
+}
+
+// One run of the engine's main loop against a virtual clock starting at 0
+function simulateRun(config: DripConfig, seed: number, opts: PlanOptions) {
+    const schedRng = createRng(seed);
+    const execRng = createRng(deriveSeed(seed, 1));
+    const state = { startTime: opts.startMs, completedTrades: 0, cycleState: CycleState.INIT } as DripState;
+    const delays: number[] = [];
+    const buyTimes: number[] = [];
+    const legs = legsPerCycle(config.mode);
+    let now = opts.startMs;
+
+    while (state.completedTrades < config.totalTrades || state.cycleState === CycleState.BOUGHT) {
+        const delay = scheduler.calculateDelay(config, state, { rng: schedRng, now, silent: true, legsPerCycle: legs });
+        if (state.cycleState !== CycleState.BOUGHT) delays.push(delay);
+        now += delay;
+
+        const buying = state.cycleState !== CycleState.BOUGHT;
+        if (buying) buyTimes.push(now);
+        const maxAttempts = buying ? config.maxBuyRetries : config.maxSellRetries;
+        let landed = false;
+        for (let attempt = 1; attempt <= maxAttempts && !landed; attempt++) {
+            now += sampleExec(opts.exec, execRng);
+            landed = execRng() >= opts.failRate;
+            if (!landed && attempt < maxAttempts) now += config.failBackoffSec * 1000;
+        }
+        if (!landed) return { finishMs: now - opts.startMs, delays, buyTimes, aborted: true };
+
+        // Single-leg strategies never hold a position: every leg is followed by a wait
+        if (buying && legs === 2) now += sampleHoldMs(config, execRng);
+        state.cycleState = buying && legs === 2 ? CycleState.BOUGHT : CycleState.SOLD;
+        state.completedTrades += 1;
+    }
+    return { finishMs: now - opts.startMs, delays, buyTimes, aborted: false };
+}
+
+// Simulate opts.seeds runs (seeds derived from config.seed) without touching the network
+// A volume target is planned as its leg estimate at the average leg size
+export function planSchedule(config: DripConfig, opts: PlanOptions): PlanReport {
+    if (config.volumeTargetUsd) config = { ...config, totalTrades: estimatedLegs(config) };
+    const report: PlanReport = { runs: opts.seeds, finishMs: [], overruns: 0, aborted: 0, delaysMs: [], buyHours: new Array(24).fill(0) };
+    for (let i = 0; i < opts.seeds; i++) {
+        const run = simulateRun(config, deriveSeed(config.seed, i), opts);
+        if (run.aborted) {
+            report.aborted++;
+            continue;
+        }
+        report.finishMs.push(run.finishMs);
+        report.delaysMs.push(...run.delays);
+        if (config.pacing) run.buyTimes.forEach(t => report.buyHours[hourOf(config.pacing!, t)]++);
+        if (run.finishMs > config.windowSec * 1000) report.overruns++;
+    }
+    report.finishMs.sort((a, b) => a - b);
+    return report;
+}
+
+function percentile(sorted: number[], p: number): number {
+    if (sorted.length === 0) return 0;
+    return sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))];
+}
+
+// maxOf(values) overflows the call stack on the delays of thousands of runs
+function maxOf(values: number[]): number {
+    return values.reduce((max, v) => (v > max ? v : max), -Infinity);
+}
+
+function histogram(values: number[], buckets: number = 10): string[] {
+    if (values.length === 0) return ['  (no delays)'];
+    const max = maxOf(values);
+    const width = max > 0 ? max / buckets : 1;
+    const counts = new Array(buckets).fill(0);
+    for (const v of values) counts[Math.min(buckets - 1, Math.floor(v / width))]++;
+    const peak = maxOf(counts);
+    return counts.map((c, i) => {
+        const label = `${(i * width / 1000).toFixed(0)}-${((i + 1) * width / 1000).toFixed(0)}s`.padStart(12);
+        const bar = '#'.repeat(peak > 0 ? Math.round(c / peak * 40) : 0);
+        return `${label} | ${bar} ${c}`;
+    });
+}
+
+export function printPlan(config: DripConfig, opts: PlanOptions, report: PlanReport) {
+    const sec = (ms: number) => `${(ms / 1000).toFixed(0)}s`;
+    const pct = (n: number, of: number) => `${of > 0 ? (n / of * 100).toFixed(1) : '0.0'}%`;
+    const windowMs = config.windowSec * 1000;
+    const finished = report.finishMs;
+    const mean = finished.length ? finished.reduce((a, b) => a + b, 0) / finished.length : 0;
+
+    console.log(`\n=== PLAN (virtual clock, ${report.runs} seeds from ${config.seed}) ===`);
+    const legs = config.volumeTargetUsd ? `~${estimatedLegs(config)} (volume ${config.volumeTargetUsd} USD)` : `${config.totalTrades}`;
+    console.log(`Config: mode=${config.mode} legs=${legs} window=${config.windowSec}s est_exec=${sec(config.estimatedExecMs)}/cycle safety=${config.safetyFactor} min_delay=${config.minDelaySec}s`);
+    console.log(`Exec model: ${describeExec(opts.exec)} per leg, fail rate ${(opts.failRate * 100).toFixed(1)}% (backoff ${config.failBackoffSec}s)`);
+    console.log(`Finish time: mean=${sec(mean)} p50=${sec(percentile(finished, 0.5))} p90=${sec(percentile(finished, 0.9))} p99=${sec(percentile(finished, 0.99))} max=${sec(finished[finished.length - 1] ?? 0)} (mean ${pct(mean, windowMs)} of window)`);
+    console.log(`Overrun chance: ${pct(report.overruns, finished.length)} (${report.overruns}/${finished.length} runs finished after ${config.windowSec}s)`);
+    if (report.aborted > 0) {
+        console.log(`Aborted (retries exhausted): ${pct(report.aborted, report.runs)}`);
+    }
+    console.log('Delay histogram (waits before each BUY or single leg, all runs):');
+    histogram(report.delaysMs).forEach(line => console.log(line));
+    if (config.pacing) {
+        const offset = config.pacing.utcOffsetMin / 60;
+        console.log(`BUYs by hour (UTC${offset >= 0 ? '+' : ''}${offset}, weight in brackets):`);
+        const peak = maxOf(report.buyHours);
+        report.buyHours.forEach((c, h) => {
+            const bar = '#'.repeat(peak > 0 ? Math.round(c / peak * 40) : 0);
+            console.log(`  ${String(h).padStart(2, '0')}:00 [${config.pacing!.hourWeights[h]}] | ${bar} ${c}`);
+        });
+    }
+    console.log('=============================\n');
+}
@@ -0,0 +1,167 @@
+
+import { Connection, PublicKey } from '@solana/web3.js';
+import { CycleState, DripConfig, DripState } from './types';
+import * as wallet from './wallet';
+import * as utils from './utils';
+import * as priority from './priority';
+import { SOL_MINT, USDC_MINT, legsPerCycle } from './strategies';
+import { remainingUsd } from './volume';
+
+const BASE_FEE_LAMPORTS = 5000n;
+const TOKEN_ACCOUNT_RENT_LAMPORTS = 2_039_280n;
+
+export type PreflightMode = DripConfig['preflight'];
+
+export interface Balances {
+    lamports: bigint;
+    usdcRaw: bigint;
+    solPrice: number | null;    // Only needed by the alternating mode; null = unknown
+    missingAccounts: string[];  // Mints the legs receive that have no token account yet
+}
+
+// Worst case for the legs still to run: every attempt lands with an error at the
+// highest priority fee its fee mode can pay, volume targets are met with usdcMin
+// legs, and every token account a leg would receive into has to be opened.
+export interface FundingNeeds {
+    legs: number;
+    feeLamportsPerLeg: bigint;
+    rentLamports: bigint;
+    solLamports: bigint;  // Fees + rent + the fee buffer
+    legUsd: number;       // Largest leg (usdcMax) the wallet must be able to pay
+}
+
+export interface PreflightResult {
+    decision: 'OK' | 'SCALED' | 'REFUSED';
+    config: DripConfig;   // Scaled down when decision is SCALED
+    lines: string[];      // For the startup banner
+    reason?: string;      // Why it REFUSED
+}
+
+// Kept back by wallet.getSwapTokenBalance (DRIP_SOL_BUFFER)
+export function bufferLamports(config: DripConfig): bigint {
+    return utils.toRawAmount(config.solBufferSol, 9);
+}
+
+// Mints a leg of this config may receive; SOL arrives unwrapped and needs no account
+export function receivedMints(config: DripConfig): string[] {
+    const mints = config.mode === 'alternating' ? [USDC_MINT]
+        : config.mode === 'tri_token' ? config.tokens.map(t => t.mint)
+            : [USDC_MINT, ...config.routes.map(r => r.tokenMint)];
+    return [...new Set(mints)].filter(m => m !== SOL_MINT);
+}
+
+function remainingLegs(config: DripConfig, state: DripState): number {
+    if (!config.volumeTargetUsd) return Math.max(0, config.totalTrades - state.completedTrades);
+    const perCycle = legsPerCycle(config.mode);
+    return Math.ceil(remainingUsd(config, state) / (config.usdcMin * perCycle)) * perCycle;
+}
+
+export function fundingNeeds(config: DripConfig, state: DripState, missingAccounts: string[]): FundingNeeds {
+    const legs = remainingLegs(config, state);
+    // A round trip's legs share the BUY and SELL retry budgets
+    const attempts = legsPerCycle(config.mode) === 2
+        ? Math.ceil((config.maxBuyRetries + config.maxSellRetries) / 2)
+        : config.maxBuyRetries;
+    let feeLamportsPerLeg = 0n;
+    for (let attempt = 1; attempt <= attempts; attempt++) {
+        feeLamportsPerLeg += BASE_FEE_LAMPORTS + BigInt(priority.worstCaseLamports(config.priorityFee, attempt));
+    }
+    const rentLamports = TOKEN_ACCOUNT_RENT_LAMPORTS * BigInt(missingAccounts.length);
+    return {
+        legs,
+        feeLamportsPerLeg,
+        rentLamports,
+        solLamports: feeLamportsPerLeg * BigInt(legs) + rentLamports + bufferLamports(config),
+        legUsd: config.usdcMax
+    };
+}
+
+// USD the wallet can put into the next leg that needs funding, or null when the
+// mode funds itself from a pool (tri_token) or no new leg needs paying for.
+function fundableUsd(config: DripConfig, state: DripState, needs: FundingNeeds, bal: Balances): number | null {
+    const open = state.cycleState === CycleState.BOUGHT ? 1 : 0;
+    if (config.mode === 'tri_token' || needs.legs <= open) return null;
+    const usdc = utils.toUiAmount(bal.usdcRaw, 6);
+    if (config.mode !== 'alternating') return usdc;
+    // Either side can pay: the strategy skips the side it cannot and flips direction
+    const spareLamports = bal.lamports - needs.solLamports;
+    const sol = spareLamports > 0n && bal.solPrice ? utils.toUiAmount(spareLamports, 9) * bal.solPrice : 0;
+    return Math.max(usdc, sol);
+}
+
+// Legs the SOL on hand pays fees for, in whole round trips (an open position's SELL comes first)
+function affordableLegs(config: DripConfig, state: DripState, needs: FundingNeeds, bal: Balances): number {
+    const spare = bal.lamports - needs.rentLamports - bufferLamports(config);
+    let legs = spare > 0n ? Math.min(needs.legs, Number(spare / needs.feeLamportsPerLeg)) : 0;
+    if (legsPerCycle(config.mode) === 2) {
+        const open = state.cycleState === CycleState.BOUGHT ? 1 : 0;
+        legs -= (legs - open) % 2;
+    }
+    return Math.max(0, legs);
+}
+
+// Compare the worst case with the balances and decide: run as configured, run a
+// smaller plan (DRIP_PREFLIGHT=scale, the default), or refuse to start.
+export function decide(config: DripConfig, state: DripState, bal: Balances, mode: PreflightMode): PreflightResult {
+    const needs = fundingNeeds(config, state, bal.missingAccounts);
+    const sol = (lamports: bigint) => utils.toUiAmount(lamports, 9).toFixed(6);
+    const lines = [
+        `SOL have=${sol(bal.lamports)} need=${sol(needs.solLamports)} (fees<=${sol(needs.feeLamportsPerLeg)} x ${needs.legs} legs, rent ${sol(needs.rentLamports)} for ${bal.missingAccounts.length} new token account(s), buffer ${sol(bufferLamports(config))})`
+    ];
+    const problems: string[] = [];
+    const scaled = { ...config };
+
+    const fundable = fundableUsd(config, state, needs, bal);
+    if (fundable !== null) {
+        const side = config.mode === 'alternating' ? 'USDC or spendable SOL' : 'USDC';
+        lines.push(`${side} have=${fundable.toFixed(4)} USD need=${needs.legUsd} USD (largest leg)`);
+        if (fundable < config.usdcMax) {
+            if (fundable >= config.usdcMin) {
+                scaled.usdcMax = Math.floor(fundable * 1e6) / 1e6;
+                problems.push(`usdcMax ${config.usdcMax} -> ${scaled.usdcMax}`);
+            } else {
+                return refuse(config, lines, `${side} ${fundable.toFixed(4)} USD is below usdcMin ${config.usdcMin}`);
+            }
+        }
+    }
+
+    if (bal.lamports < needs.solLamports) {
+        const legs = affordableLegs(config, state, needs, bal);
+        if (legs < 1) {
+            return refuse(config, lines, `SOL ${sol(bal.lamports)} cannot pay the fees of a single leg`);
+        }
+        if (config.volumeTargetUsd) {
+            // usdcMin legs are the worst case, so this volume fits in the affordable legs
+            scaled.volumeTargetUsd = Math.floor(((state.volumeUsd ?? 0) + legs * config.usdcMin) * 100) / 100;
+            problems.push(`volume ${config.volumeTargetUsd} -> ${scaled.volumeTargetUsd} USD`);
+        } else {
+            scaled.totalTrades = state.completedTrades + legs;
+            problems.push(`legs ${config.totalTrades} -> ${scaled.totalTrades}`);
+        }
+    }
+
+    if (problems.length === 0) {
+        return { decision: 'OK', config, lines: [...lines, 'decision=OK'] };
+    }
+    if (mode === 'strict') {
+        return refuse(config, lines, `short of funds, scaling would set ${problems.join(', ')} (DRIP_PREFLIGHT=strict)`);
+    }
+    return { decision: 'SCALED', config: scaled, lines: [...lines, `decision=SCALED (${problems.join(', ')})`] };
+}
+
+function refuse(config: DripConfig, lines: string[], reason: string): PreflightResult {
+    return { decision: 'REFUSED', config, lines: [...lines, `decision=REFUSED (${reason})`], reason };
+}
+
+export async function readBalances(connection: Connection, owner: PublicKey, config: DripConfig, solPrice: () => Promise<number | null>): Promise<Balances> {
+    const missingAccounts: string[] = [];
+    for (const mint of receivedMints(config)) {
+        if (!(await wallet.hasTokenAccount(connection, owner, mint))) missingAccounts.push(mint);
+    }
+    return {
+        lamports: await wallet.getBalance(connection, owner),
+        usdcRaw: (await wallet.readTokenBalance(connection, owner, USDC_MINT)).amount,
+        solPrice: config.mode === 'alternating' ? await solPrice() : null,
+        missingAccounts
+    };
+}
@@ -0,0 +1,94 @@
+
+import { Connection, PublicKey } from '@solana/web3.js';
+import { PriorityFeeConfig } from './types';
+
+// Compute units assumed when turning a lamport cap into a per-CU price.
+// Jupiter swaps with dynamicComputeUnitLimit usually land well under this.
+const ESTIMATED_SWAP_CU = 400_000;
+
+// Jupiter auto mode levels, stepped up one per retry
+const AUTO_LEVELS = ['medium', 'high', 'veryHigh'];
+
+export interface PriorityFeeChoice {
+    body: Record<string, any>; // Fields merged into the /swap request body
+    label: string;             // Human-readable choice for logs and the ledger
+}
+
+function escalate(value: number, cfg: PriorityFeeConfig, attempt: number): number {
+    return value * Math.pow(cfg.escalation, Math.max(0, attempt - 1));
+}
+
+function capMicroLamports(microLamports: number, cfg: PriorityFeeConfig): number {
+    const cap = Math.floor(cfg.maxLamports * 1_000_000 / ESTIMATED_SWAP_CU);
+    return Math.max(1, Math.min(Math.round(microLamports), cap));
+}
+
+// Writable pool accounts the route touches; their recent fees are the relevant market
+function routeAccounts(quote: any): PublicKey[] {
+    const keys = new Set<string>();
+    for (const step of quote?.routePlan || []) {
+        if (step?.swapInfo?.ammKey) keys.add(step.swapInfo.ammKey);
+    }
+    return [...keys].map(k => new PublicKey(k));
+}
+
+async function percentileMicroLamports(connection: Connection, quote: any, percentile: number): Promise<number> {
+    const fees = await connection.getRecentPrioritizationFees({ lockedWritableAccounts: routeAccounts(quote) });
+    const values = fees.map(f => f.prioritizationFee).sort((a, b) => a - b);
+    if (values.length === 0) return 0;
+    const idx = Math.min(values.length - 1, Math.floor((percentile / 100) * values.length));
+    return values[idx];
+}
+
+// Most an attempt can pay in priority fees: nothing with none, the escalated fixed
+// price at the assumed CU, and the lamport cap where the market sets the price
+export function worstCaseLamports(cfg: PriorityFeeConfig, attempt: number): number {
+    switch (cfg.mode) {
+        case 'fixed':
+            return Math.ceil(capMicroLamports(escalate(cfg.microLamports, cfg, attempt), cfg) * ESTIMATED_SWAP_CU / 1_000_000);
+        case 'auto':
+        case 'percentile':
+            return cfg.maxLamports;
+        default:
+            return 0;
+    }
+}
+
+// Decide the priority fee for one swap attempt. attempt is 1-based; each retry
+// raises the fee by cfg.escalation (or one auto level), never past maxLamports.
+export async function choosePriorityFee(
+    connection: Connection,
+    cfg: PriorityFeeConfig,
+    quote: any,
+    attempt: number
+): Promise<PriorityFeeChoice> {
+    switch (cfg.mode) {
+        case 'fixed': {
+            const price = capMicroLamports(escalate(cfg.microLamports, cfg, attempt), cfg);
+            return { body: { computeUnitPriceMicroLamports: price }, label: `fixed:${price}uL/CU` };
+        }
+        case 'auto': {
+            const level = AUTO_LEVELS[Math.min(attempt - 1, AUTO_LEVELS.length - 1)];
+            return {
+                body: {
+                    prioritizationFeeLamports: {
+                        priorityLevelWithMaxLamports: { maxLamports: cfg.maxLamports, priorityLevel: level }
+                    }
+                },
+                label: `auto:${level}<=${cfg.maxLamports}L`
+            };
+        }
+        case 'percentile': {
+            let base = cfg.microLamports;
+            try {
+                base = await percentileMicroLamports(connection, quote, cfg.percentile);
+            } catch (e: any) {
+                console.warn(`[FEE] getRecentPrioritizationFees failed (${e.message}), using ${base}uL/CU`);
+            }
+            const price = capMicroLamports(escalate(base, cfg, attempt), cfg);
+            return { body: { computeUnitPriceMicroLamports: price }, label: `p${cfg.percentile}:${price}uL/CU` };
+        }
+        default:
+            return { body: {}, label: 'none' };
+    }
+}
@@ -0,0 +1,28 @@
+
+import * as crypto from 'crypto';
+
+// Uniform [0, 1) source. Everything random in a run (route, amount, delay)
+// draws from one of these so a run can be replayed from its seed.
+export type Rng = () => number;
+
+// mulberry32: tiny, fast, and good enough for scheduling decisions
+export function createRng(seed: number): Rng {
+    let a = seed >>> 0;
+    return () => {
+        a = (a + 0x6D2B79F5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+export function randomSeed(): number {
+    return crypto.randomBytes(4).readUInt32BE(0);
+}
+
+// Independent but reproducible seed for the n-th wallet of a multi-wallet run;
+// wallet 0 uses the base seed itself so DRIP_SEED replays a single wallet directly
+export function deriveSeed(base: number, index: number): number {
+    return index === 0 ? base >>> 0 : (base + Math.imul(index, 0x9E3779B9)) >>> 0;
+}
@@ -1,33 +1,53 @@
 
 import { DripConfig, DripState, CycleState } from './types';
+import { Rng } from './rng';
+import * as pacing from './pacing';
+import { expectedHoldMs } from './hold';
+
+export interface DelayOptions {
+    rng?: Rng;        // Defaults to Math.random
+    now?: number;     // Defaults to Date.now(); the planner passes a virtual clock
+    silent?: boolean; // Suppress behind-schedule warnings (planner runs thousands of cycles)
+    execMs?: number;  // Per-cycle execution estimate; defaults to config.estimatedExecMs
+    legsPerCycle?: 1 | 2; // Legs per scheduled slot (see strategies/index.ts); defaults to 2 (round trips)
+    remainingLegs?: number; // Overrides totalTrades - completedTrades (volume-target runs estimate it)
+}
+
+export function calculateDelay(config: DripConfig, state: DripState, opts: DelayOptions = {}): number {
+    const rng = opts.rng || Math.random;
+    const warn = (msg: string) => { if (!opts.silent) console.warn(msg); };
 
-export function calculateDelay(config: DripConfig, state: DripState): number {
     // If we are holding a token, we must sell immediately (no delay between legs)
     if (state.cycleState === CycleState.BOUGHT) {
         return 0;
     }
 
     // Calculate remaining work
-    const now = Date.now();
+    const now = opts.now ?? Date.now();
     const deadline = state.startTime + (config.windowSec * 1000);
     const remainingTime = deadline - now;
-    const remainingTrades = config.totalTrades - state.completedTrades;
+    const remainingTrades = opts.remainingLegs ?? (config.totalTrades - state.completedTrades);
 
     if (remainingTrades <= 0) return 0; // Done
 
+    // Late or behind: start at once, or once a quiet window ends under a pacing profile
+    const asap = () => config.pacing ? pacing.untilOpen(config.pacing, now) : 0;
+
     // Remaining cycles (round trips)
     // Each cycle is 2 trades. 
     // If remainingTrades is odd (e.g. 1 left, meaning we did 0.5 cycle?), treat as 1 cycle aka 0.5.
     // Actually, we enforce Round Trips. So remainingTrades should be even usually.
-    const remainingCycles = Math.ceil(remainingTrades / 2);
+    // Single-leg strategies (alternating, tri_token) schedule every leg on its own.
+    const legsPerCycle = opts.legsPerCycle ?? 2;
+    const remainingCycles = Math.ceil(remainingTrades / legsPerCycle);
 
     if (remainingTime <= 0) {
-        console.warn('[SCHEDULER] Time window exceeded!');
-        return 0; // ASAP
+        warn('[SCHEDULER] Time window exceeded!');
+        return asap();
     }
 
     // Safety factor: aim to finish slightly early (e.g. use 85% of available time)
-    const SAFETY_FACTOR = 0.85;
+    const SAFETY_FACTOR = config.safetyFactor;
 
     // Time available per remaining cycle
     // We want to distribute delays.
@@ -36,18 +56,28 @@ export function calculateDelay(config: DripConfig, state: DripState): number {
     // We can delay up to (remainingTime / remainingCycles) * SAFETY_FACTOR.
     // But we also need to account that execution takes time (maybe 30s-60s per cycle).
 
-    const ESTIMATED_EXEC_MS = 45000; // 45s for Buy+Sell+Confirmations
-    const safeTimeWindow = remainingTime - (ESTIMATED_EXEC_MS * remainingCycles);
+    const ESTIMATED_EXEC_MS = (opts.execMs ?? config.estimatedExecMs) * legsPerCycle / 2; // e.g. 45s for Buy+Sell+Confirmations, or learned per RPC
+    // Positions held between BUY and SELL take window time too
+    const holdMs = legsPerCycle === 2 ? expectedHoldMs(config) : 0;
+    const safeTimeWindow = remainingTime - ((ESTIMATED_EXEC_MS + holdMs) * remainingCycles);
 
     if (safeTimeWindow <= 0) {
-        console.warn('[SCHEDULER] Behind schedule, 0 delay.');
-        return 0;
+        const delay = asap();
+        warn(delay > 0 ? `[SCHEDULER] Behind schedule, waiting ${Math.round(delay / 1000)}s for a quiet window to end.` : '[SCHEDULER] Behind schedule, 0 delay.');
+        return delay;
     }
 
     const avgDelayAllocated = safeTimeWindow / remainingCycles;
     const maxDelay = avgDelayAllocated * SAFETY_FACTOR;
     const minDelay = config.minDelaySec * 1000;
 
+    // Weighted by time of day: same budget, but waits run through quiet and thin hours
+    if (config.pacing) {
+        const paced = pacing.sampleDelay(config.pacing, now, safeTimeWindow, remainingCycles, SAFETY_FACTOR, minDelay, rng);
+        if (paced !== null) return paced;
+        warn('[SCHEDULER] Rest of the window is all quiet hours; pacing ignored.');
+    }
+
     if (maxDelay < minDelay) {
         return 0; // Hurry up
     }
@@ -58,6 +88,6 @@ export function calculateDelay(config: DripConfig, state: DripState): number {
     // But we re-calculate every cycle, so it self-corrects. 
     // (If we waited long last time, remainingTime shrinks, maxDelay shrinks).
 
-    const delay = Math.random() * (maxDelay - minDelay) + minDelay;
+    const delay = rng() * (maxDelay - minDelay) + minDelay;
     return Math.floor(delay);
 }
@@ -0,0 +1,74 @@
+
+import * as utils from './utils';
+
+// SIGINT / SIGTERM for the TypeScript engine. The first signal only asks to stop:
+// the running wallet finishes the leg in flight, sells an open position without
+// waiting out its hold, saves state and prints its summary; later wallets are
+// skipped. A second signal saves state through the registered hooks and exits.
+
+const SIGNALS: NodeJS.Signals[] = ['SIGINT', 'SIGTERM'];
+const EXIT_CODES: Record<string, number> = { SIGINT: 130, SIGTERM: 143 };
+
+let requested: NodeJS.Signals | null = null;
+let wake: (() => void)[] = [];
+const forceHooks = new Set<() => void>();
+
+function onSignal(signal: NodeJS.Signals) {
+    if (requested) {
+        console.warn(`\n[SHUTDOWN] ${signal} again: saving state and exiting now.`);
+        for (const hook of forceHooks) {
+            try {
+                hook();
+            } catch (e: any) {
+                console.error(`[SHUTDOWN] Could not save state: ${e.message}`);
+            }
+        }
+        process.exit(EXIT_CODES[signal] ?? 1);
+    }
+    requested = signal;
+    console.warn(`\n[SHUTDOWN] ${signal} received: finishing the current cycle, then stopping. Send it again to exit at once.`);
+    const waiting = wake;
+    wake = [];
+    waiting.forEach(fn => fn());
+}
+
+// Registers the handlers; returns a function that removes them
+export function install(): () => void {
+    const handlers = SIGNALS.map(s => [s, () => onSignal(s)] as const);
+    handlers.forEach(([s, fn]) => process.on(s, fn));
+    return () => handlers.forEach(([s, fn]) => process.off(s, fn));
+}
+
+// The signal that asked to stop, or null
+export function requestedBy(): NodeJS.Signals | null {
+    return requested;
+}
+
+// Exit code for a run that stopped on a signal (128 + signal number), else 0
+export function exitCode(): number {
+    return requested ? EXIT_CODES[requested] : 0;
+}
+
+// utils.sleep that returns early once a stop is requested
+export function sleep(ms: number): Promise<void> {
+    if (requested) return Promise.resolve();
+    return new Promise(resolve => {
+        const done = () => {
+            wake = wake.filter(fn => fn !== done);
+            resolve();
+        };
+        wake.push(done);
+        utils.sleep(ms).then(done);
+    });
+}
+
+// Run on a forced exit (second signal); returns a function that unregisters it
+export function onForcedExit(hook: () => void): () => void {
+    forceHooks.add(hook);
+    return () => forceHooks.delete(hook);
+}
+
+// Forget an earlier request (the offline harness runs many drips in one process)
+export function reset() {
+    requested = null;
+}
@@ -1,38 +1,111 @@
 
 import * as fs from 'fs';
 import * as path from 'path';
+import { VersionedTransaction } from '@solana/web3.js';
 import { DripState, CycleState } from './types';
+import { DATA_DIR } from './utils';
 
-const DATA_DIR = path.resolve(process.cwd(), 'data');
-const STATE_FILE = path.join(DATA_DIR, 'state_v2.json');
+// State is keyed by wallet public key: one file (and one lock) per wallet,
+// so wallets and concurrent processes never share a recovery record.
+function stateFile(owner: string): string {
+    return path.join(DATA_DIR, `state_v2_${owner}.json`);
+}
+
+function lockFile(owner: string): string {
+    return path.join(DATA_DIR, `state_v2_${owner}.lock`);
+}
 
-export function loadState(): DripState {
+function ensureDataDir() {
     if (!fs.existsSync(DATA_DIR)) {
         fs.mkdirSync(DATA_DIR, { recursive: true });
     }
+}
+
+// Write to a temp file, fsync, then rename over the target.
+// rename() is atomic on the same filesystem, so readers see either the old
+// or the new state, never a half-written file.
+export function writeFileAtomic(file: string, content: string) {
+    const tmp = `${file}.${process.pid}.tmp`;
+    const fd = fs.openSync(tmp, 'w');
+    try {
+        fs.writeSync(fd, content);
+        fs.fsyncSync(fd);
+    } finally {
+        fs.closeSync(fd);
+    }
+    fs.renameSync(tmp, file);
+}
+
+function isProcessAlive(pid: number): boolean {
+    try {
+        process.kill(pid, 0);
+        return true;
+    } catch (e: any) {
+        // EPERM: the process exists but belongs to another user
+        return e.code === 'EPERM';
+    }
+}
+
+function readLockOwnerPid(file: string): number | null {
+    try {
+        const data = JSON.parse(fs.readFileSync(file, 'utf-8'));
+        return typeof data.pid === 'number' ? data.pid : null;
+    } catch (e) {
+        return null; // Empty or partial lock file: the owner died while creating it
+    }
+}
+
+export function acquireLock(owner: string) {
+    ensureDataDir();
+    const file = lockFile(owner);
 
-    if (fs.existsSync(STATE_FILE)) {
+    // Second pass only happens after removing a stale lock
+    for (let pass = 0; pass < 2; pass++) {
         try {
-            const content = fs.readFileSync(STATE_FILE, 'utf-8');
-            const data = JSON.parse(content);
-            // Basic validation
-            if (data.version === 2) {
-                // RECOVERY CHECK:
-                // Only load state if we are in BOUGHT state (crash recovery).
-                // Otherwise, start fresh (completedTrades=0).
-                if (data.cycleState === CycleState.BOUGHT) {
-                    return {
-                        ...data,
-                        completedTrades: 0, // Reset counters for new run
-                        startTime: Date.now() // Reset timer
-                    };
-                }
+            const fd = fs.openSync(file, 'wx');
+            try {
+                fs.writeSync(fd, JSON.stringify({ pid: process.pid, acquiredAt: new Date().toISOString() }));
+            } finally {
+                fs.closeSync(fd);
             }
-        } catch (e) {
-            console.warn('[STATE] Failed to load existing state, starting fresh.', e);
+            return;
+        } catch (e: any) {
+            if (e.code !== 'EEXIST') throw e;
+        }
+
+        const pid = readLockOwnerPid(file);
+        if (pid !== null && isProcessAlive(pid)) {
+            throw new Error(`[STATE] State for ${owner} is locked by running process pid=${pid}`);
         }
+        console.warn(`[STATE] Removing stale lock for ${owner} (owner pid=${pid ?? '?'} is not running)`);
+        fs.rmSync(file, { force: true });
     }
 
+    throw new Error(`[STATE] Failed to acquire state lock for ${owner}`);
+}
+
+export function releaseLock(owner: string) {
+    const file = lockFile(owner);
+    if (readLockOwnerPid(file) === process.pid) {
+        fs.rmSync(file, { force: true });
+    }
+}
+
+function validateState(data: any): string | null {
+    if (data.version !== 2) return `unsupported version ${data.version}`;
+    if (!Object.values(CycleState).includes(data.cycleState)) return `unknown cycleState ${data.cycleState}`;
+    if (typeof data.completedTrades !== 'number' || typeof data.startTime !== 'number') return 'missing counters';
+    if (data.cycleState === CycleState.BOUGHT && (!data.currentRouteTokenMint || !data.lastBuyAmount)) {
+        return 'BOUGHT record without route mint or lastBuyAmount';
+    }
+    const p = data.pendingTx;
+    if (p && (typeof p.signature !== 'string' || typeof p.rawTx !== 'string' || typeof p.lastValidBlockHeight !== 'number' || !p.leg)) {
+        return 'incomplete pendingTx record';
+    }
+    return null;
+}
+
+function freshState(): DripState {
     return {
         version: 2,
         completedTrades: 0,
@@ -47,9 +120,107 @@ export function loadState(): DripState {
     };
 }
 
-export function saveState(state: DripState) {
-    if (!fs.existsSync(DATA_DIR)) {
-        fs.mkdirSync(DATA_DIR, { recursive: true });
+// Wallet a legacy record belongs to: an "owner" field (the operator may add one),
+// else the fee payer of its unsettled swap; null if it does not say
+function legacyOwner(data: any): string | null {
+    if (typeof data.owner === 'string' && data.owner) return data.owner;
+    if (typeof data.pendingTx?.rawTx === 'string') {
+        try {
+            return VersionedTransaction.deserialize(Buffer.from(data.pendingTx.rawTx, 'base64')).message.staticAccountKeys[0].toBase58();
+        } catch (e) {
+            return null;
+        }
+    }
+    return null;
+}
+
+// Before state was per wallet, every wallet shared data/state_v2.json. An open
+// position or unsettled swap in it is moved to the wallet that owns it; one whose
+// owner is unknown stops every wallet until the operator says whose it is.
+// Migrated or empty legacy files are renamed out of the way, never deleted.
+function migrateLegacyState(owner: string) {
+    const legacyFile = path.join(DATA_DIR, 'state_v2.json');
+    if (!fs.existsSync(legacyFile)) return;
+    const resolveHint = `Add "owner": "<wallet public key>" to it, or move it to ${stateFile('<wallet public key>')}, then run again.`;
+    let data: any;
+    try {
+        data = JSON.parse(fs.readFileSync(legacyFile, 'utf-8'));
+    } catch (e: any) {
+        throw new Error(`[STATE] Cannot parse legacy ${legacyFile}: ${e.message}. Check it for an open position and remove it once resolved.`);
+    }
+    const archived = `${legacyFile}.migrated-${Date.now()}`;
+    if (data.cycleState !== CycleState.BOUGHT && !data.pendingTx) {
+        fs.renameSync(legacyFile, archived);
+        console.log(`[STATE] Legacy ${legacyFile} holds no open position; renamed to ${archived}.`);
+        return;
+    }
+
+    const legacyWallet = legacyOwner(data);
+    if (!legacyWallet) {
+        throw new Error(`[STATE] Legacy ${legacyFile} holds an open ${data.currentRouteName ?? 'swap'} position but not which wallet made it. ${resolveHint}`);
+    }
+    if (legacyWallet !== owner) return; // Migrated when its own wallet runs
+    if (fs.existsSync(stateFile(owner))) {
+        throw new Error(`[STATE] Both legacy ${legacyFile} and ${stateFile(owner)} hold state for ${owner}. Settle one by hand and remove it.`);
+    }
+    const { owner: _, ...state } = data;
+    const problem = validateState(state);
+    if (problem) {
+        throw new Error(`[STATE] Invalid legacy state in ${legacyFile}: ${problem}. Inspect it before running this wallet again.`);
+    }
+    writeFileAtomic(stateFile(owner), JSON.stringify(state, null, 2));
+    fs.renameSync(legacyFile, archived);
+    console.warn(`[STATE] Migrated the open position in legacy ${legacyFile} to ${stateFile(owner)} (original kept as ${archived}).`);
+}
+
+// Caller must hold the lock for `owner` (see acquireLock).
+// resume=true returns the persisted run untouched (window, leg count, stats);
+// otherwise only a BOUGHT record survives, with counters reset for a new run.
+export function loadState(owner: string, resume: boolean = false): DripState {
+    ensureDataDir();
+    const file = stateFile(owner);
+
+    migrateLegacyState(owner);
+    if (!fs.existsSync(file)) {
+        return freshState();
     }
-    fs.writeFileSync(STATE_FILE, JSON.stringify(state, null, 2));
+
+    // Writes are atomic, so an unreadable or inconsistent file is never a torn write.
+    // Refuse to guess: starting fresh here could strand an open position.
+    let data: any;
+    try {
+        data = JSON.parse(fs.readFileSync(file, 'utf-8'));
+    } catch (e: any) {
+        throw new Error(`[STATE] Cannot parse ${file}: ${e.message}. Inspect it before running this wallet again.`);
+    }
+    const problem = validateState(data);
+    if (problem) {
+        throw new Error(`[STATE] Invalid state in ${file}: ${problem}. Inspect it before running this wallet again.`);
+    }
+
+    if (resume) {
+        return data;
+    }
+
+    // RECOVERY CHECK:
+    // Only load state if we are in BOUGHT state or a swap's outcome is unknown (crash recovery).
+    // Otherwise, start fresh (completedTrades=0).
+    if (data.cycleState === CycleState.BOUGHT || data.pendingTx) {
+        return {
+            ...data,
+            completedTrades: 0, // Reset counters for new run
+            volumeUsd: 0,
+            lossUsdc: 0,
+            startTime: Date.now(), // Reset timer
+            stats: undefined,
+            startBalances: undefined
+        };
+    }
+
+    return freshState();
+}
+
+export function saveState(state: DripState, owner: string) {
+    ensureDataDir();
+    writeFileAtomic(stateFile(owner), JSON.stringify(state, null, 2));
 }
@@ -1,10 +1,61 @@
 
-interface RouteStats {
+import type { LegFees } from './txmeta';
+import type { LegSide } from './ledger';
+import * as utils from './utils';
+
+export interface RouteStats {
     buyCount: number;
     sellCount: number;
+    swapCount: number;  // Token-to-token legs (tri_token)
     completedCycles: number;
     usdcIn: number;
     usdcOut: number;
+    swapUsdc: number;   // Estimated notional of the SWAP legs, not part of net
+    baseFeeLamports: number;
+    priorityFeeLamports: number;
+    rentLamports: number; // Net token-account rent paid (negative = refunded)
+}
+
+function emptyRouteStats(): RouteStats {
+    return {
+        buyCount: 0,
+        sellCount: 0,
+        swapCount: 0,
+        completedCycles: 0,
+        usdcIn: 0,
+        usdcOut: 0,
+        swapUsdc: 0,
+        baseFeeLamports: 0,
+        priorityFeeLamports: 0,
+        rentLamports: 0
+    };
+}
+
+export interface LegRecord {
+    route: string;
+    side: LegSide;
+    usdcValue: number;
+    signature: string;
+    confirmMs: number;
+    timestamp: number;
+    fees?: LegFees;
+}
+
+// USDC -> SOL swaps that keep the wallet above its SOL floor. Kept out of the
+// routes, the totals and the per-token net so they don't read as strategy PnL.
+export interface TopUpStats {
+    count: number;
+    usdcIn: number;
+    solOut: number;
+    feeLamports: number;
+}
+
+// Serializable form persisted in DripState so a resumed run keeps its stats
+export interface StatsSnapshot {
+    routes: Record<string, RouteStats>;
+    legs: LegRecord[];
+    tokenNet?: Record<string, string>; // Raw net change per mint from the swaps (absent in older snapshots)
+    topUps?: TopUpStats;
 }
 
 interface RunBalances {
@@ -17,29 +68,71 @@ interface RunBalances {
 
 export class StatsCollector {
     private routeStats: Map<string, RouteStats> = new Map();
-    private legs: any[] = [];
+    private legs: LegRecord[] = [];
+    private tokenNet: Map<string, bigint> = new Map();
+    private topUps: TopUpStats = { count: 0, usdcIn: 0, solOut: 0, feeLamports: 0 };
+
+    constructor(snapshot?: StatsSnapshot) {
+        if (snapshot) {
+            // Snapshots from older versions lack the fee fields
+            Object.entries(snapshot.routes).forEach(([route, stats]) => this.routeStats.set(route, { ...emptyRouteStats(), ...stats }));
+            this.legs = [...snapshot.legs];
+            Object.entries(snapshot.tokenNet || {}).forEach(([mint, raw]) => this.tokenNet.set(mint, BigInt(raw)));
+            if (snapshot.topUps) this.topUps = { ...snapshot.topUps };
+        }
+    }
+
+    snapshot(): StatsSnapshot {
+        const routes: Record<string, RouteStats> = {};
+        this.routeStats.forEach((stats, route) => routes[route] = { ...stats });
+        const tokenNet: Record<string, string> = {};
+        this.tokenNet.forEach((raw, mint) => tokenNet[mint] = raw.toString());
+        return { routes, legs: [...this.legs], tokenNet, topUps: { ...this.topUps } };
+    }
+
+    recordTopUp(usdcIn: number, solOut: number, fees?: LegFees) {
+        this.topUps.count++;
+        this.topUps.usdcIn += usdcIn;
+        this.topUps.solOut += solOut;
+        if (fees) this.topUps.feeLamports += fees.baseLamports + fees.priorityLamports;
+    }
 
-    constructor() { }
+    getTopUps(): TopUpStats {
+        return { ...this.topUps };
+    }
+
+    // What one swap took out of and put into the wallet (raw units; fees not included)
+    recordTokenFlow(inputMint: string, spentRaw: bigint, outputMint: string, receivedRaw: bigint) {
+        this.tokenNet.set(inputMint, (this.tokenNet.get(inputMint) ?? 0n) - spentRaw);
+        this.tokenNet.set(outputMint, (this.tokenNet.get(outputMint) ?? 0n) + receivedRaw);
+    }
+
+    getTokenNet(): Map<string, bigint> {
+        return new Map(this.tokenNet);
+    }
 
     getRouteStats(route: string): RouteStats {
         if (!this.routeStats.has(route)) {
-            this.routeStats.set(route, {
-                buyCount: 0,
-                sellCount: 0,
-                completedCycles: 0,
-                usdcIn: 0,
-                usdcOut: 0
-            });
+            this.routeStats.set(route, emptyRouteStats());
         }
         return this.routeStats.get(route)!;
     }
 
-    recordLeg(route: string, side: 'BUY' | 'SELL', usdcValue: number, signature: string, confirmMs: number) {
+    recordLeg(route: string, side: LegSide, usdcValue: number, signature: string, confirmMs: number, fees?: LegFees) {
         const stats = this.getRouteStats(route);
 
+        if (fees) {
+            stats.baseFeeLamports += fees.baseLamports;
+            stats.priorityFeeLamports += fees.priorityLamports;
+            stats.rentLamports += fees.rentPaidLamports - fees.rentRefundedLamports;
+        }
+
         if (side === 'BUY') {
             stats.buyCount++;
             stats.usdcIn += usdcValue;
+        } else if (side === 'SWAP') {
+            stats.swapCount++;
+            stats.swapUsdc += usdcValue;
         } else {
             stats.sellCount++;
             stats.usdcOut += usdcValue;
@@ -47,20 +140,38 @@ export class StatsCollector {
         }
 
         this.legs.push({
-            route, side, usdcValue, signature, confirmMs, timestamp: Date.now()
+            route, side, usdcValue, signature, confirmMs, timestamp: Date.now(), fees
+        });
+    }
+
+    getTotals() {
+        let usdcIn = 0;
+        let usdcOut = 0;
+        let baseFeeLamports = 0;
+        let priorityFeeLamports = 0;
+        let rentLamports = 0;
+        this.routeStats.forEach(stats => {
+            usdcIn += stats.usdcIn;
+            usdcOut += stats.usdcOut;
+            baseFeeLamports += stats.baseFeeLamports;
+            priorityFeeLamports += stats.priorityFeeLamports;
+            rentLamports += stats.rentLamports;
         });
+        return { legs: this.legs.length, usdcIn, usdcOut, baseFeeLamports, priorityFeeLamports, rentLamports };
     }
 
     printSummary(
+        mode: string,
         targetLegs: number,
         windowSec: number,
         balances: RunBalances,
-        dryRun: boolean
+        dryRun: boolean,
+        symbolOf: (mint: string) => string = mint => mint.slice(0, 4)
     ) {
         const uniqueRoutes = this.routeStats.size;
         const completedLegs = this.legs.length;
 
-        console.log('\n=== SUMMARY (multi_route) ===');
+        console.log(`\n=== SUMMARY (${mode}) ===`);
         console.log(`Window: ${windowSec}s | Target: ${targetLegs} legs | Completed: ${completedLegs} legs | Routes: ${uniqueRoutes}`);
 
         console.log('\nPer-route:');
@@ -71,9 +182,27 @@ export class StatsCollector {
             const net = stats.usdcOut - stats.usdcIn;
             totalUsdcIn += stats.usdcIn;
             totalUsdcOut += stats.usdcOut;
-            console.log(`- ${route}: cycles=${stats.completedCycles} (BUY=${stats.buyCount}, SELL=${stats.sellCount})  USDC_in=${stats.usdcIn.toFixed(4)}  USDC_out=${stats.usdcOut.toFixed(4)}  net=${net.toFixed(4)}`);
+            const feeSol = (stats.baseFeeLamports + stats.priorityFeeLamports) / 1e9;
+            if (stats.swapCount > 0) {
+                console.log(`- ${route}: SWAP=${stats.swapCount}  ~USDC_volume=${stats.swapUsdc.toFixed(4)}  fees=${feeSol.toFixed(6)} SOL`);
+                return;
+            }
+            console.log(`- ${route}: cycles=${stats.completedCycles} (BUY=${stats.buyCount}, SELL=${stats.sellCount})  USDC_in=${stats.usdcIn.toFixed(4)}  USDC_out=${stats.usdcOut.toFixed(4)}  net=${net.toFixed(4)}  fees=${feeSol.toFixed(6)} SOL`);
         });
 
+        if (this.tokenNet.size > 0) {
+            console.log('\nNet per token (swaps only, fees excluded):');
+            this.tokenNet.forEach((raw, mint) => {
+                const ui = utils.toUiAmount(raw, utils.getDecimals(mint));
+                console.log(`- ${symbolOf(mint)}: ${ui >= 0 ? '+' : ''}${ui.toFixed(6)}`);
+            });
+        }
+
+        if (this.topUps.count > 0) {
+            const t = this.topUps;
+            console.log(`\nGas top-ups (not in the route PnL): ${t.count}  USDC_in=${t.usdcIn.toFixed(4)}  SOL_out=${t.solOut.toFixed(6)}  fees=${(t.feeLamports / 1e9).toFixed(6)} SOL`);
+        }
+
         console.log('\nBalances:');
         const usdcDelta = balances.endUsdc - balances.startUsdc;
         const solDelta = balances.endSol - balances.startSol;
@@ -91,17 +220,24 @@ export class StatsCollector {
             const swapNet = totalUsdcOut - totalUsdcIn; // Profit (Positive) or Loss (Negative)
             console.log(`- Net swap result: ${swapNet >= 0 ? '+' : ''}${swapNet.toFixed(4)} USDC`);
 
-            // Fee is Cost (Absolute value of drop)
-            // SOL fees are usually negative delta
-            const solFee = balances.startSol - balances.endSol; // Expected positive if fees paid
-            const solFeeStr = solFee >= 0 ? solFee.toFixed(6) : `(Gain? ${Math.abs(solFee).toFixed(6)})`;
+            // Fees come from each leg's transaction meta, not from the SOL balance drop,
+            // which also moves with SOL-route fills and token-account rent
+            const totals = this.getTotals();
+            const baseSol = totals.baseFeeLamports / 1e9;
+            const prioritySol = totals.priorityFeeLamports / 1e9;
+            const solFee = baseSol + prioritySol;
 
             const solFeeUsdc = solFee * balances.solPriceInUsdc;
             const feeStr = balances.solPriceInUsdc > 0
                 ? `(~$${solFeeUsdc.toFixed(4)} USDC)`
                 : `(Price N/A)`;
 
-            console.log(`- Network fees:  ${solFeeStr} SOL ${feeStr}`);
+            console.log(`- Network fees:  ${solFee.toFixed(6)} SOL ${feeStr}  [base=${baseSol.toFixed(6)} priority=${prioritySol.toFixed(6)}]`);
+
+            // Rent is a deposit, recoverable by closing the account, so it stays out of PnL
+            if (totals.rentLamports !== 0) {
+                console.log(`- Account rent:  ${(totals.rentLamports / 1e9).toFixed(6)} SOL net locked (excluded from PnL)`);
+            }
 
             // Total cost = (Swap Profit/Loss) - (Fees)
             // Actually usually we want "Net PnL"
@@ -0,0 +1,52 @@
+
+import * as utils from '../utils';
+import { LegIntent, SOL_MINT, Strategy, StrategyContext, USDC_MINT } from './types';
+
+const ROUTE = 'SOL-USDC';
+
+// Port of the legacy runDripMode: one leg per slot, flipping between SOL->USDC and
+// USDC->SOL starting from DRIP_START_DIRECTION. Each leg is worth usdcMin..usdcMax.
+// The legacy SOL->USDC leg was ExactOut on the USDC target; here it is ExactIn on
+// the SOL amount the current price says is worth that target.
+export class AlternatingStrategy implements Strategy {
+    readonly mode = 'alternating';
+    readonly legsPerCycle = 1;
+    private skipped = 0; // A skipped slot flips the direction too, as in the legacy loop
+
+    constructor(private startDirection: 'SOL_TO_USDC' | 'USDC_TO_SOL') { }
+
+    describe(): string {
+        return `start=${this.startDirection}`;
+    }
+
+    async nextLeg(ctx: StrategyContext): Promise<LegIntent | null> {
+        // Derived from the leg count so a resumed run continues the alternation
+        const flips = ctx.state.completedTrades + this.skipped;
+        const sellSol = (flips % 2 === 0) === (this.startDirection === 'SOL_TO_USDC');
+        const targetUsdc = ctx.legUsd();
+
+        if (!sellSol) {
+            const amountRaw = utils.toRawAmount(targetUsdc, 6);
+            const balance = await ctx.balance(USDC_MINT);
+            if (balance < amountRaw) {
+                return this.skip(`USDC balance ${utils.toUiAmount(balance, 6)} < ${targetUsdc.toFixed(4)}`);
+            }
+            return { route: ROUTE, side: 'BUY', inputMint: USDC_MINT, outputMint: SOL_MINT, amountRaw, opensPosition: false };
+        }
+
+        const price = (await ctx.prices([SOL_MINT]))[SOL_MINT];
+        if (!price) return this.skip('no SOL price');
+        const amountRaw = utils.toRawAmount(targetUsdc / price, 9);
+        const balance = await ctx.balance(SOL_MINT);
+        if (balance < amountRaw) {
+            return this.skip(`spendable SOL ${utils.toUiAmount(balance, 9)} < ${utils.toUiAmount(amountRaw, 9)}`);
+        }
+        return { route: ROUTE, side: 'SELL', inputMint: SOL_MINT, outputMint: USDC_MINT, amountRaw, opensPosition: false };
+    }
+
+    private skip(reason: string): null {
+        console.log(`[alternating] Skipping slot: ${reason}`);
+        this.skipped++;
+        return null;
+    }
+}
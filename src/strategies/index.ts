@@ -0,0 +1,28 @@
+
+import { DripConfig, DripMode } from '../types';
+import { Strategy } from './types';
+import { RoundTripStrategy } from './roundTrip';
+import { AlternatingStrategy } from './alternating';
+import { TriTokenStrategy } from './triToken';
+
+export * from './types';
+
+export const DRIP_MODES: DripMode[] = ['multi_route', 'anchor_roundtrip', 'alternating', 'tri_token'];
+
+// Built-in strategy for config.mode (DRIP_MODE)
+export function createStrategy(config: DripConfig): Strategy {
+    switch (config.mode) {
+        case 'multi_route':
+        case 'anchor_roundtrip':
+            return new RoundTripStrategy(config.mode, config.routes);
+        case 'alternating':
+            return new AlternatingStrategy(config.startDirection);
+        case 'tri_token':
+            return new TriTokenStrategy(config.tokens, config.triTokenFloor);
+    }
+}
+
+// Known without building the strategy, for the scheduler and the planner
+export function legsPerCycle(mode: DripMode): 1 | 2 {
+    return mode === 'multi_route' || mode === 'anchor_roundtrip' ? 2 : 1;
+}
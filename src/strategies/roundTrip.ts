@@ -0,0 +1,34 @@
+
+import { DripMode, Route } from '../types';
+import * as utils from '../utils';
+import { LegIntent, Strategy, StrategyContext } from './types';
+
+// USDC -> token -> USDC over config.routes. Only the BUY is decided here: the
+// engine holds the position (see hold.ts) and sells exactly what was bought.
+// anchor_roundtrip is the same loop with routes derived from DRIP_TOKENS_JSON.
+export class RoundTripStrategy implements Strategy {
+    readonly legsPerCycle = 2;
+
+    constructor(readonly mode: DripMode, private routes: Route[]) {
+        if (routes.length === 0) {
+            throw new Error(`${mode} needs at least one route`);
+        }
+    }
+
+    describe(): string {
+        return `routes=${this.routes.length}`;
+    }
+
+    async nextLeg(ctx: StrategyContext): Promise<LegIntent> {
+        const route = this.routes[Math.floor(ctx.rng() * this.routes.length)];
+        const usdcAmt = ctx.legUsd();
+        return {
+            route: route.name,
+            side: 'BUY',
+            inputMint: route.usdcMint,
+            outputMint: route.tokenMint,
+            amountRaw: utils.toRawAmount(usdcAmt, 6), // USDC is 6 decimals
+            opensPosition: true
+        };
+    }
+}
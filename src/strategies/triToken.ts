@@ -0,0 +1,103 @@
+
+import { TokenSpec } from '../types';
+import * as utils from '../utils';
+import { Rng } from '../rng';
+import { LegIntent, Strategy, StrategyContext, USDC_MINT } from './types';
+
+interface Holding {
+    token: TokenSpec;
+    price: number;
+    balance: bigint;
+    usd: number;
+}
+
+// Index drawn with probability proportional to its weight; -1 if all weights are 0
+function pickWeighted(rng: Rng, weights: number[]): number {
+    const total = weights.reduce((a, b) => a + b, 0);
+    if (!(total > 0)) return -1;
+    let r = rng() * total;
+    for (let i = 0; i < weights.length; i++) {
+        r -= weights[i];
+        if (r < 0 && weights[i] > 0) return i;
+    }
+    return weights.findIndex(w => w > 0);
+}
+
+// Port of the legacy runTriTokenMode: each slot swaps a token A for B within the
+// DRIP_TOKENS_JSON pool, sized so A is worth usdcMin..usdcMax at its USD price.
+// Unlike the legacy random pairs, the pick leans toward an equal USD value per
+// token: A is drawn by what it holds above its floor (config.triTokenFloor of the
+// equal share) and B by how far it is below the equal share, so no token drains.
+export class TriTokenStrategy implements Strategy {
+    readonly mode = 'tri_token';
+    readonly legsPerCycle = 1;
+
+    constructor(private tokens: TokenSpec[], private floor: number) {
+        if (tokens.length < 3) {
+            throw new Error('tri_token needs at least 3 tokens in DRIP_TOKENS_JSON');
+        }
+    }
+
+    describe(): string {
+        return `pool=${this.tokens.map(t => t.symbol).join(',')} floor=${this.floor}`;
+    }
+
+    async nextLeg(ctx: StrategyContext): Promise<LegIntent | null> {
+        const holdings = await this.holdings(ctx);
+        if (holdings.length < 2) return this.skip('fewer than 2 pool tokens have a price');
+
+        const totalUsd = holdings.reduce((sum, h) => sum + h.usd, 0);
+        const share = totalUsd / holdings.length;
+        const targetUsdc = ctx.legUsd();
+
+        // A: only tokens that keep their floor after the leg; a leg may shrink to usdcMin to fit
+        const spare = holdings.map(h => Math.max(0, h.usd - share * this.floor));
+        const idxA = pickWeighted(ctx.rng, spare.map(s => (s >= ctx.config.usdcMin ? s : 0)));
+        if (idxA < 0) {
+            return this.skip(`no token holds ${ctx.config.usdcMin} USD above its floor (pool ${totalUsd.toFixed(2)} USD)`);
+        }
+        // B: underweight tokens first; the constant keeps every pair possible
+        const deficit = holdings.map((h, i) => (i === idxA ? 0 : Math.max(0, share - h.usd) + share * 0.1));
+        const idxB = pickWeighted(ctx.rng, deficit);
+
+        const a = holdings[idxA];
+        const b = holdings[idxB];
+        const usdc = Math.min(targetUsdc, spare[idxA]);
+        const amountRaw = utils.toRawAmount(usdc / a.price, a.token.decimals);
+        if (amountRaw <= 0n || amountRaw > a.balance) {
+            return this.skip(`${a.token.symbol} balance ${utils.toUiAmount(a.balance, a.token.decimals)} cannot fund ${usdc.toFixed(4)} USD`);
+        }
+
+        return {
+            route: `${a.token.symbol}->${b.token.symbol}`,
+            side: a.token.mint === USDC_MINT ? 'BUY' : b.token.mint === USDC_MINT ? 'SELL' : 'SWAP',
+            inputMint: a.token.mint,
+            outputMint: b.token.mint,
+            amountRaw,
+            opensPosition: false,
+            usdcValue: usdc
+        };
+    }
+
+    // Spendable balance and USD value of every pool token with a known price
+    private async holdings(ctx: StrategyContext): Promise<Holding[]> {
+        const priced = this.tokens.filter(t => t.mint !== USDC_MINT).map(t => t.mint);
+        const prices: Record<string, number> = { [USDC_MINT]: 1, ...(priced.length ? await ctx.prices(priced) : {}) };
+        const holdings: Holding[] = [];
+        for (const token of this.tokens) {
+            const price = prices[token.mint];
+            if (!price) {
+                console.warn(`[tri_token] No price for ${token.symbol}, leaving it out of this slot`);
+                continue;
+            }
+            const balance = await ctx.balance(token.mint);
+            holdings.push({ token, price, balance, usd: utils.toUiAmount(balance, token.decimals) * price });
+        }
+        return holdings;
+    }
+
+    private skip(reason: string): null {
+        console.log(`[tri_token] Skipping slot: ${reason}`);
+        return null;
+    }
+}
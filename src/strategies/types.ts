@@ -0,0 +1,39 @@
+
+import { DripConfig, DripMode, DripState } from '../types';
+import type { LegSide } from '../ledger';
+import { Rng } from '../rng';
+
+export const SOL_MINT = 'So11111111111111111111111111111111111111112';
+export const USDC_MINT = 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v';
+
+// One swap the strategy wants next. The engine quotes, sends, retries and records it.
+export interface LegIntent {
+    route: string;          // Label for logs, ledger and stats (e.g. "JUP-USDC", "SOL->JUP")
+    side: LegSide;
+    inputMint: string;
+    outputMint: string;
+    amountRaw: bigint;      // ExactIn amount of inputMint
+    opensPosition: boolean; // Round-trip BUY: the engine holds it, then sells it back as the next leg
+    usdcValue?: number;     // Notional of a SWAP leg, which moves no USDC
+}
+
+// What a strategy may look at when deciding. Balances and prices are read on demand.
+export interface StrategyContext {
+    config: DripConfig;
+    state: Readonly<DripState>;
+    rng: Rng; // The run's seeded RNG: draw from it so DRIP_SEED replays the same legs
+    legUsd(): number; // USD size of the next leg: usdcMin..usdcMax, trimmed to finish a volume target
+    balance(mint: string): Promise<bigint>; // Spendable raw amount; SOL keeps its fee buffer
+    prices(mints: string[]): Promise<Record<string, number>>; // USD; mints without a price are absent
+}
+
+// Decides legs only. Retries, persisted state, pending transactions, stats and
+// scheduling belong to the engine, so every strategy gets the same crash guarantees.
+export interface Strategy {
+    readonly mode: DripMode;
+    // Legs one scheduler slot produces: 2 for round trips (BUY, then the engine's SELL), else 1
+    readonly legsPerCycle: 1 | 2;
+    describe(): string;
+    // null skips this slot (e.g. no balance to trade); the engine waits and asks again
+    nextLeg(ctx: StrategyContext): Promise<LegIntent | null>;
+}
@@ -0,0 +1,29 @@
+
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+
+// Offline end-to-end run of MultiRouteDrip against the fake Jupiter server and
+// fake RPC. No network, no keys. Usage: npm run e2e [-- <scenario name filter>]
+
+// Point DATA_DIR at a scratch dir before anything imports the engine; each
+// scenario then works in a fresh subdirectory of it (see withHarness).
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'drip-e2e-'));
+process.env.DRIP_DATA_DIR = dataDir;
+
+async function main() {
+    const { runAll } = await import('./scenarios');
+    const failed = await runAll(process.argv[2]);
+    if (process.env.E2E_KEEP_DATA === 'true') {
+        console.log(`[E2E] State and ledger of each scenario kept under ${dataDir}`);
+    } else {
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    }
+    console.log(failed === 0 ? '[E2E] All scenarios passed' : `[E2E] ${failed} scenario(s) failed`);
+    process.exit(failed === 0 ? 0 : 1);
+}
+
+main().catch(err => {
+    console.error('[E2E] Harness error', err);
+    process.exit(1);
+});
@@ -0,0 +1,321 @@
+
+import {
+    MessageV0,
+    PublicKey,
+    SignatureStatus,
+    SimulatedTransactionResponse,
+    TokenBalance,
+    TransactionInstruction,
+    VersionedTransaction,
+    VersionedTransactionResponse
+} from '@solana/web3.js';
+import { encodeBase58 } from '../utils';
+
+export const SOL_MINT = 'So11111111111111111111111111111111111111112';
+export const USDC_MINT = 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v';
+
+export const TOKEN_PROGRAM = new PublicKey('TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA');
+const ATA_PROGRAM = new PublicKey('ATokenGPvbdGVxr1b2hvZbsiqW5xWH25efTNsLJA8knL');
+const JUPITER_PROGRAM = new PublicKey('JUP6LkbZbjS1jKKwapdHNy74zcZ3tLUZoi5QNyVTaV4');
+
+export const TOKEN_ACCOUNT_RENT = 2_039_280n;
+const BASE_FEE_LAMPORTS = 5000n;
+// Blocks a swap stays valid for; small so dropped transactions expire after a few polls
+const VALIDITY_BLOCKS = 3;
+
+// What happens to the next swap built by the fake Jupiter /swap endpoint
+export type SwapOutcome =
+    | { kind: 'land'; fillBps?: number }      // Lands; fill differs from the quote by fillBps
+    | { kind: 'land-after'; sends: number }   // Lands only on broadcast number `sends`
+    | { kind: 'fail'; reason: 'slippage' | 'insufficient-funds' } // Lands with an on-chain error
+    | { kind: 'drop' };                        // Never lands; expires with its blockhash
+
+// Result of the next simulateTransaction call
+export type SimulationScript = 'ok' | 'compute-exceeded' | 'slippage' | 'insufficient-funds';
+
+interface SwapRecord {
+    owner: string;
+    inputMint: string;
+    outputMint: string;
+    inAmount: bigint;
+    outAmount: bigint;
+    priorityLamports: bigint;
+    lastValidBlockHeight: number;
+    outcome: SwapOutcome;
+    sends: number;
+}
+
+const FAILURES: Record<string, { err: any; logs: string[] }> = {
+    'slippage': {
+        err: { InstructionError: [0, { Custom: 6001 }] },
+        logs: ['Program log: AnchorError occurred. Error Code: SlippageToleranceExceeded. Error Number: 6001.']
+    },
+    'insufficient-funds': {
+        err: { InstructionError: [0, { Custom: 1 }] },
+        logs: ['Program log: Error: insufficient funds']
+    },
+    'compute-exceeded': {
+        err: { InstructionError: [0, 'ComputationalBudgetExceeded'] },
+        logs: ['Program JUP6LkbZbjS1jKKwapdHNy74zcZ3tLUZoi5QNyVTaV4 failed: exceeded CUs meter at BPF instruction']
+    }
+};
+
+// In-memory ledger of lamports, token accounts and transactions shared by the
+// fake Jupiter server (which builds swaps) and the fake Connection (which lands them).
+export class FakeChain {
+    blockHeight = 1000;
+    slot = 5000;
+    recentPrioritizationFees: { slot: number; prioritizationFee: number }[] = [];
+
+    // Mint accounts: decimals and owning program. The chain's own truth, not the engine's registry
+    private mints = new Map<string, { decimals: number; program: PublicKey }>([
+        [SOL_MINT, { decimals: 9, program: TOKEN_PROGRAM }],
+        [USDC_MINT, { decimals: 6, program: TOKEN_PROGRAM }],
+        ['JUPyiwrYJFskUPiHa7hkeR8VUtAeFoSYbKedZNsDvCN', { decimals: 6, program: TOKEN_PROGRAM }]
+    ]);
+    private lamports = new Map<string, bigint>();
+    private tokens = new Map<string, bigint>();  // `${owner}:${mint}`; present = account exists
+    private tokenAccounts = new Map<string, { owner: string; mint: string }>(); // by address
+    private swaps = new Map<string, SwapRecord>(); // by blockhash
+    private statuses = new Map<string, SignatureStatus>();
+    private txs = new Map<string, VersionedTransactionResponse>();
+    private outcomes: SwapOutcome[] = [];
+    private simulations: SimulationScript[] = [];
+    private rpcFaults = new Map<string, Error[]>();
+    private blockhashCounter = 0;
+
+    fund(owner: string, lamports: bigint) {
+        this.lamports.set(owner, lamports);
+    }
+
+    setToken(owner: string, mint: string, amount: bigint) {
+        this.tokenAccount(owner, mint);
+        this.tokens.set(`${owner}:${mint}`, amount);
+    }
+
+    createMint(mint: string, decimals: number, program: PublicKey = TOKEN_PROGRAM) {
+        this.mints.set(mint, { decimals, program });
+    }
+
+    mintInfo(mint: string): { decimals: number; program: PublicKey } | null {
+        return this.mints.get(mint) ?? null;
+    }
+
+    decimals(mint: string): number {
+        const info = this.mints.get(mint);
+        if (!info) throw new Error(`FakeChain: no mint ${mint}`);
+        return info.decimals;
+    }
+
+    getLamports(owner: string): bigint {
+        return this.lamports.get(owner) ?? 0n;
+    }
+
+    // Native lamports for SOL, token account amount otherwise
+    getBalance(owner: string, mint: string): bigint {
+        if (mint === SOL_MINT) return this.getLamports(owner);
+        return this.tokens.get(`${owner}:${mint}`) ?? 0n;
+    }
+
+    hasTokenAccount(owner: string, mint: string): boolean {
+        return this.tokens.has(`${owner}:${mint}`);
+    }
+
+    tokenAccount(owner: string, mint: string): PublicKey {
+        const [address] = PublicKey.findProgramAddressSync(
+            [new PublicKey(owner).toBuffer(), TOKEN_PROGRAM.toBuffer(), new PublicKey(mint).toBuffer()],
+            ATA_PROGRAM
+        );
+        this.tokenAccounts.set(address.toBase58(), { owner, mint });
+        return address;
+    }
+
+    tokenAccountInfo(address: string): { owner: string; mint: string; amount: bigint } | null {
+        const info = this.tokenAccounts.get(address);
+        if (!info || !this.hasTokenAccount(info.owner, info.mint)) return null;
+        return { ...info, amount: this.getBalance(info.owner, info.mint) };
+    }
+
+    queueOutcomes(...outcomes: SwapOutcome[]) {
+        this.outcomes.push(...outcomes);
+    }
+
+    queueSimulations(...scripts: SimulationScript[]) {
+        this.simulations.push(...scripts);
+    }
+
+    // The next `count` calls of an RPC method throw `error`
+    failRpc(method: string, error: Error, count: number = 1) {
+        const list = this.rpcFaults.get(method) || [];
+        for (let i = 0; i < count; i++) list.push(error);
+        this.rpcFaults.set(method, list);
+    }
+
+    takeRpcFault(method: string): Error | undefined {
+        return this.rpcFaults.get(method)?.shift();
+    }
+
+    // Unsigned v0 transaction for a quoted swap, as Jupiter's /swap would return it
+    buildSwap(owner: string, inputMint: string, outputMint: string, inAmount: bigint, outAmount: bigint, priorityLamports: bigint) {
+        const blockhash = this.nextBlockhash();
+        const keys = [inputMint, outputMint]
+            .filter(m => m !== SOL_MINT)
+            .map(m => ({ pubkey: this.tokenAccount(owner, m), isSigner: false, isWritable: true }));
+        const message = MessageV0.compile({
+            payerKey: new PublicKey(owner),
+            recentBlockhash: blockhash,
+            instructions: [new TransactionInstruction({ programId: JUPITER_PROGRAM, keys, data: Buffer.from('swap') })]
+        });
+        const lastValidBlockHeight = this.blockHeight + VALIDITY_BLOCKS;
+        this.swaps.set(blockhash, {
+            owner,
+            inputMint,
+            outputMint,
+            inAmount,
+            outAmount,
+            priorityLamports,
+            lastValidBlockHeight,
+            outcome: this.outcomes.shift() ?? { kind: 'land' },
+            sends: 0
+        });
+        const tx = new VersionedTransaction(message);
+        return { swapTransaction: Buffer.from(tx.serialize()).toString('base64'), lastValidBlockHeight };
+    }
+
+    // sendRawTransaction: lands, fails or ignores the swap according to its scripted outcome
+    submit(raw: Uint8Array): string {
+        const tx = VersionedTransaction.deserialize(raw);
+        if (tx.signatures[0].every(b => b === 0)) {
+            throw new Error('Transaction signature verification failure');
+        }
+        const signature = encodeBase58(tx.signatures[0]);
+        const swap = this.swaps.get(tx.message.recentBlockhash);
+        if (!swap || this.blockHeight > swap.lastValidBlockHeight) {
+            throw new Error('Transaction simulation failed: Blockhash not found');
+        }
+        if (this.statuses.has(signature)) return signature; // Already processed
+
+        swap.sends++;
+        const outcome = swap.outcome;
+        if (outcome.kind === 'land') {
+            this.execute(tx, signature, swap, null);
+        } else if (outcome.kind === 'land-after' && swap.sends >= outcome.sends) {
+            this.execute(tx, signature, swap, null);
+        } else if (outcome.kind === 'fail') {
+            this.execute(tx, signature, swap, outcome.reason);
+        }
+        return signature;
+    }
+
+    signatureStatus(signature: string): SignatureStatus | null {
+        return this.statuses.get(signature) ?? null;
+    }
+
+    getTransaction(signature: string): VersionedTransactionResponse | null {
+        return this.txs.get(signature) ?? null;
+    }
+
+    tickBlockHeight(): number {
+        return ++this.blockHeight;
+    }
+
+    simulate(tx: VersionedTransaction): SimulatedTransactionResponse {
+        const script = this.simulations.shift() ?? 'ok';
+        if (script === 'ok') {
+            return { err: null, logs: ['Program log: Instruction: Route'], accounts: null, unitsConsumed: 180_000, returnData: null };
+        }
+        const failure = FAILURES[script];
+        return { err: failure.err, logs: failure.logs, accounts: null, unitsConsumed: 1_400_000, returnData: null };
+    }
+
+    private nextBlockhash(): string {
+        const bytes = Buffer.alloc(32, 7);
+        bytes.writeUInt32BE(++this.blockhashCounter, 0);
+        return encodeBase58(bytes);
+    }
+
+    private execute(tx: VersionedTransaction, signature: string, swap: SwapRecord, failure: string | null) {
+        const keys = tx.message.staticAccountKeys.map(k => k.toBase58());
+        const fee = BASE_FEE_LAMPORTS + swap.priorityLamports;
+        let outAmount = swap.outAmount;
+        if (swap.outcome.kind === 'land' && swap.outcome.fillBps) {
+            outAmount = outAmount * BigInt(10000 + swap.outcome.fillBps) / 10000n;
+        }
+        if (!failure && this.getBalance(swap.owner, swap.inputMint) < swap.inAmount) {
+            failure = 'insufficient-funds';
+        }
+
+        const pre = this.snapshot(keys);
+        this.lamports.set(swap.owner, this.getLamports(swap.owner) - fee);
+        if (!failure) {
+            this.move(swap.owner, swap.inputMint, -swap.inAmount);
+            this.move(swap.owner, swap.outputMint, outAmount);
+        }
+        const post = this.snapshot(keys);
+
+        const err = failure ? FAILURES[failure].err : null;
+        const slot = this.slot++;
+        this.statuses.set(signature, { slot, confirmations: null, err, confirmationStatus: 'confirmed' });
+        this.txs.set(signature, {
+            slot,
+            blockTime: Math.floor(Date.now() / 1000),
+            version: 0,
+            transaction: { message: tx.message, signatures: [signature] },
+            meta: {
+                err,
+                fee: Number(fee),
+                preBalances: pre.balances,
+                postBalances: post.balances,
+                preTokenBalances: pre.tokenBalances,
+                postTokenBalances: post.tokenBalances,
+                innerInstructions: [],
+                loadedAddresses: { writable: [], readonly: [] },
+                logMessages: failure ? FAILURES[failure].logs : ['Program log: Instruction: Route'],
+                computeUnitsConsumed: 180_000
+            }
+        });
+    }
+
+    private move(owner: string, mint: string, delta: bigint) {
+        if (mint === SOL_MINT) {
+            this.lamports.set(owner, this.getLamports(owner) + delta);
+            return;
+        }
+        if (!this.hasTokenAccount(owner, mint)) {
+            // Opening the output account costs the owner its rent
+            this.lamports.set(owner, this.getLamports(owner) - TOKEN_ACCOUNT_RENT);
+            this.setToken(owner, mint, 0n);
+        }
+        this.tokens.set(`${owner}:${mint}`, this.getBalance(owner, mint) + delta);
+    }
+
+    private snapshot(keys: string[]): { balances: number[]; tokenBalances: TokenBalance[] } {
+        const balances: number[] = [];
+        const tokenBalances: TokenBalance[] = [];
+        keys.forEach((key, accountIndex) => {
+            const account = this.tokenAccounts.get(key);
+            if (account) {
+                const exists = this.hasTokenAccount(account.owner, account.mint);
+                balances.push(exists ? Number(TOKEN_ACCOUNT_RENT) : 0);
+                if (exists) {
+                    const amount = this.getBalance(account.owner, account.mint);
+                    const decimals = this.decimals(account.mint);
+                    tokenBalances.push({
+                        accountIndex,
+                        mint: account.mint,
+                        owner: account.owner,
+                        uiTokenAmount: {
+                            amount: amount.toString(),
+                            decimals,
+                            uiAmount: Number(amount) / Math.pow(10, decimals),
+                            uiAmountString: (Number(amount) / Math.pow(10, decimals)).toString()
+                        }
+                    });
+                }
+            } else {
+                balances.push(Number(this.getLamports(key)));
+            }
+        });
+        return { balances, tokenBalances };
+    }
+}
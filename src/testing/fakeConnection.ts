@@ -0,0 +1,100 @@
+
+import { Commitment, Connection, PublicKey, VersionedTransaction } from '@solana/web3.js';
+import { FakeChain } from './fakeChain';
+
+// The subset of Connection the engine uses, answered from a FakeChain.
+// Pass `asConnection()` wherever a Connection is expected.
+export class FakeConnection {
+    private chain: FakeChain;
+
+    constructor(chain: FakeChain) {
+        this.chain = chain;
+    }
+
+    asConnection(): Connection {
+        return this as unknown as Connection;
+    }
+
+    private context() {
+        return { slot: this.chain.slot };
+    }
+
+    private fault(method: string) {
+        const error = this.chain.takeRpcFault(method);
+        if (error) throw error;
+    }
+
+    async getBalance(pubkey: PublicKey, _commitment?: Commitment): Promise<number> {
+        this.fault('getBalance');
+        return Number(this.chain.getLamports(pubkey.toBase58()));
+    }
+
+    async getTokenAccountsByOwner(owner: PublicKey, filter: { mint: PublicKey }, _commitment?: Commitment) {
+        this.fault('getTokenAccountsByOwner');
+        const mint = filter.mint.toBase58();
+        if (!this.chain.hasTokenAccount(owner.toBase58(), mint)) {
+            return { context: this.context(), value: [] };
+        }
+        const pubkey = this.chain.tokenAccount(owner.toBase58(), mint);
+        return { context: this.context(), value: [{ pubkey, account: { lamports: 2_039_280, owner: pubkey, executable: false, data: Buffer.alloc(0) } }] };
+    }
+
+    async getTokenAccountBalance(address: PublicKey, _commitment?: Commitment) {
+        this.fault('getTokenAccountBalance');
+        const info = this.chain.tokenAccountInfo(address.toBase58());
+        if (!info) throw new Error(`failed to get token account balance: could not find account ${address.toBase58()}`);
+        const decimals = this.chain.decimals(info.mint);
+        const uiAmount = Number(info.amount) / Math.pow(10, decimals);
+        return {
+            context: this.context(),
+            value: { amount: info.amount.toString(), decimals, uiAmount, uiAmountString: uiAmount.toString() }
+        };
+    }
+
+    // Mint accounts only, in the jsonParsed shape the token registry reads
+    async getParsedAccountInfo(pubkey: PublicKey, _commitment?: Commitment) {
+        this.fault('getParsedAccountInfo');
+        const mint = this.chain.mintInfo(pubkey.toBase58());
+        const value = mint && {
+            lamports: 1_461_600, owner: mint.program, executable: false,
+            data: { program: 'spl-token', parsed: { type: 'mint', info: { decimals: mint.decimals, isInitialized: true } }, space: 82 }
+        };
+        return { context: this.context(), value };
+    }
+
+    // No metadata accounts on the fake chain
+    async getAccountInfo(_pubkey: PublicKey, _commitment?: Commitment) {
+        this.fault('getAccountInfo');
+        return null;
+    }
+
+    async sendRawTransaction(raw: Buffer | Uint8Array, _opts?: any): Promise<string> {
+        this.fault('sendRawTransaction');
+        return this.chain.submit(raw);
+    }
+
+    async getSignatureStatuses(signatures: string[], _config?: any) {
+        this.fault('getSignatureStatuses');
+        return { context: this.context(), value: signatures.map(s => this.chain.signatureStatus(s)) };
+    }
+
+    async getBlockHeight(_commitment?: Commitment): Promise<number> {
+        this.fault('getBlockHeight');
+        return this.chain.tickBlockHeight();
+    }
+
+    async getTransaction(signature: string, _opts?: any) {
+        this.fault('getTransaction');
+        return this.chain.getTransaction(signature);
+    }
+
+    async simulateTransaction(tx: VersionedTransaction, _opts?: any) {
+        this.fault('simulateTransaction');
+        return { context: this.context(), value: this.chain.simulate(tx) };
+    }
+
+    async getRecentPrioritizationFees(_config?: any) {
+        this.fault('getRecentPrioritizationFees');
+        return this.chain.recentPrioritizationFees;
+    }
+}
@@ -0,0 +1,175 @@
+
+import * as http from 'http';
+import { AddressInfo } from 'net';
+import { PublicKey } from '@solana/web3.js';
+import { FakeChain } from './fakeChain';
+
+export type Endpoint = 'quote' | 'swap' | 'price';
+
+// Returned instead of the normal response for the next call of an endpoint
+export interface ScriptedResponse {
+    status: number;
+    body?: any;
+}
+
+export interface RecordedRequest {
+    endpoint: Endpoint;
+    query: Record<string, string>;
+    body?: any;
+}
+
+// Round trips lose this much, so PnL in tests is not trivially zero
+const SPREAD_BPS = 10n;
+// CU assumed when turning computeUnitPriceMicroLamports into lamports
+const SWAP_CU = 200_000n;
+
+// Stand-in for api.jup.ag serving /swap/v1/quote, /swap/v1/swap and /price/v3.
+// Quotes come from a fixed USD price table; swaps are built and registered on
+// the FakeChain so the fake Connection can land them.
+export class FakeJupiter {
+    requests: RecordedRequest[] = [];
+    // Routes quoted with this label unless it is excluded (exercises the DLMM fallback)
+    routeLabel = 'Raydium CLMM';
+    // Called after each /swap is built, e.g. to move prices while a position is held
+    onSwap: ((count: number) => void) | null = null;
+
+    private chain: FakeChain;
+    private prices: Record<string, number>;
+    private scripts: Record<Endpoint, ScriptedResponse[]> = { quote: [], swap: [], price: [] };
+    private server: http.Server | null = null;
+    private swaps = 0;
+
+    constructor(chain: FakeChain, prices: Record<string, number>) {
+        this.chain = chain;
+        this.prices = { ...prices }; // setPrice must not leak into other scenarios
+    }
+
+    setPrice(mint: string, usd: number) {
+        this.prices[mint] = usd;
+    }
+
+    script(endpoint: Endpoint, ...responses: ScriptedResponse[]) {
+        this.scripts[endpoint].push(...responses);
+    }
+
+    // Resolves with the base URL to pass to jupiter.setApiBase
+    start(): Promise<string> {
+        this.server = http.createServer((req, res) => {
+            this.handle(req, res).catch(e => this.send(res, 500, { error: e.message }));
+        });
+        return new Promise(resolve => {
+            this.server!.listen(0, '127.0.0.1', () => {
+                const { port } = this.server!.address() as AddressInfo;
+                resolve(`http://127.0.0.1:${port}`);
+            });
+        });
+    }
+
+    stop(): Promise<void> {
+        return new Promise(resolve => (this.server ? this.server.close(() => resolve()) : resolve()));
+    }
+
+    private async handle(req: http.IncomingMessage, res: http.ServerResponse) {
+        const url = new URL(req.url || '/', 'http://localhost');
+        const endpoint: Endpoint | null =
+            url.pathname === '/swap/v1/quote' ? 'quote'
+                : url.pathname === '/swap/v1/swap' ? 'swap'
+                    : url.pathname === '/price/v3' ? 'price'
+                        : null;
+        if (!endpoint) return this.send(res, 404, { error: `Unknown path ${url.pathname}` });
+
+        const body = req.method === 'POST' ? JSON.parse(await readBody(req)) : undefined;
+        this.requests.push({ endpoint, query: Object.fromEntries(url.searchParams), body });
+
+        const scripted = this.scripts[endpoint].shift();
+        if (scripted) return this.send(res, scripted.status, scripted.body ?? {});
+
+        if (endpoint === 'quote') return this.send(res, 200, this.quote(url.searchParams));
+        if (endpoint === 'swap') return this.send(res, 200, this.swap(body));
+        return this.send(res, 200, this.price(url.searchParams));
+    }
+
+    private quote(params: URLSearchParams) {
+        const inputMint = params.get('inputMint')!;
+        const outputMint = params.get('outputMint')!;
+        const inAmount = BigInt(params.get('amount')!);
+        const slippageBps = parseInt(params.get('slippageBps') || '50', 10);
+
+        const priceIn = this.microUsd(inputMint);
+        const priceOut = this.microUsd(outputMint);
+        const outAmount = inAmount * priceIn * 10n ** BigInt(this.chain.decimals(outputMint)) * (10000n - SPREAD_BPS)
+            / (priceOut * 10n ** BigInt(this.chain.decimals(inputMint)) * 10000n);
+
+        const excluded = (params.get('excludeDexes') || '').split(',');
+        const label = excluded.includes(this.routeLabel) ? 'Orca Whirlpool' : this.routeLabel;
+        const ammKey = PublicKey.findProgramAddressSync(
+            [Buffer.from(label), new PublicKey(inputMint).toBuffer(), new PublicKey(outputMint).toBuffer()],
+            PublicKey.default
+        )[0].toBase58();
+
+        return {
+            inputMint,
+            outputMint,
+            inAmount: inAmount.toString(),
+            outAmount: outAmount.toString(),
+            otherAmountThreshold: (outAmount * BigInt(10000 - slippageBps) / 10000n).toString(),
+            swapMode: 'ExactIn',
+            slippageBps,
+            priceImpactPct: '0',
+            routePlan: [{
+                swapInfo: { ammKey, label, inputMint, outputMint, inAmount: inAmount.toString(), outAmount: outAmount.toString() },
+                percent: 100
+            }]
+        };
+    }
+
+    private swap(body: any) {
+        const quote = body.quoteResponse;
+        let priorityLamports = 0n;
+        if (body.computeUnitPriceMicroLamports) {
+            priorityLamports = BigInt(body.computeUnitPriceMicroLamports) * SWAP_CU / 1_000_000n;
+        } else if (body.prioritizationFeeLamports?.priorityLevelWithMaxLamports) {
+            priorityLamports = BigInt(body.prioritizationFeeLamports.priorityLevelWithMaxLamports.maxLamports) / 2n;
+        }
+        const built = this.chain.buildSwap(
+            body.userPublicKey,
+            quote.inputMint,
+            quote.outputMint,
+            BigInt(quote.inAmount),
+            BigInt(quote.outAmount),
+            priorityLamports
+        );
+        this.onSwap?.(++this.swaps);
+        return { ...built, prioritizationFeeLamports: Number(priorityLamports) };
+    }
+
+    private price(params: URLSearchParams) {
+        const out: Record<string, any> = {};
+        for (const mint of (params.get('ids') || '').split(',').filter(Boolean)) {
+            if (this.prices[mint] !== undefined) {
+                out[mint] = { usdPrice: this.prices[mint], decimals: this.chain.decimals(mint), priceChange24h: 0 };
+            }
+        }
+        return out;
+    }
+
+    private microUsd(mint: string): bigint {
+        const price = this.prices[mint];
+        if (price === undefined) throw new Error(`No fake price for ${mint}`);
+        return BigInt(Math.round(price * 1e6));
+    }
+
+    private send(res: http.ServerResponse, status: number, body: any) {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(body));
+    }
+}
+
+function readBody(req: http.IncomingMessage): Promise<string> {
+    return new Promise((resolve, reject) => {
+        let data = '';
+        req.on('data', chunk => (data += chunk));
+        req.on('end', () => resolve(data));
+        req.on('error', reject);
+    });
+}
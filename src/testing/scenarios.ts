@@ -0,0 +1,911 @@
+
+import * as assert from 'assert/strict';
+import * as fs from 'fs';
+import * as path from 'path';
+import { Keypair } from '@solana/web3.js';
+import * as bip39 from 'bip39';
+import { CycleState, DripConfig, DripState, Route, TokenSpec } from '../types';
+import { loadConfig } from '../config';
+import { MultiRouteDrip } from '../drip';
+import * as jupiter from '../jupiter';
+import * as ledger from '../ledger';
+import * as orchestrator from '../orchestrator';
+import * as stateMgr from '../state';
+import * as scheduler from '../scheduler';
+import * as shutdown from '../shutdown';
+import * as tokens from '../tokens';
+import * as utils from '../utils';
+import { deriveKeypair } from '../wallet';
+import { ExecEstimator, endpointKey } from '../execEstimate';
+import { parsePacingProfile } from '../pacing';
+import { planSchedule } from '../plan';
+import { FakeChain, SOL_MINT, TOKEN_PROGRAM, USDC_MINT } from './fakeChain';
+import { FakeConnection } from './fakeConnection';
+import { FakeJupiter } from './fakeJupiter';
+
+const JUP_MINT = 'JUPyiwrYJFskUPiHa7hkeR8VUtAeFoSYbKedZNsDvCN';
+const PRICES = { [SOL_MINT]: 150, [USDC_MINT]: 1, [JUP_MINT]: 0.5 };
+
+const SOL_ROUTE: Route = { name: 'SOL-USDC', tokenMint: SOL_MINT, usdcMint: USDC_MINT };
+const JUP_ROUTE: Route = { name: 'JUP-USDC', tokenMint: JUP_MINT, usdcMint: USDC_MINT };
+
+interface Harness {
+    chain: FakeChain;
+    jup: FakeJupiter;
+    fake: FakeConnection;
+    keypair: Keypair;
+    owner: string;
+}
+
+interface Scenario {
+    name: string;
+    run: (h: Harness) => Promise<void>;
+}
+
+let walletSeed = 0;
+const RUN_DIR = utils.DATA_DIR; // Scratch dir of the whole e2e run (e2e.ts)
+
+// Each scenario gets its own wallet, a funded fake chain and an empty data dir, so
+// no ledger, state, exec estimate or token registry carries over from another
+async function withHarness(fn: (h: Harness) => Promise<void>) {
+    const dataDir = fs.mkdtempSync(path.join(RUN_DIR, 'scenario-'));
+    utils.setDataDir(dataDir);
+    const chain = new FakeChain();
+    const jup = new FakeJupiter(chain, PRICES);
+    jupiter.setApiBase(await jup.start());
+
+    const keypair = Keypair.fromSeed(new Uint8Array(32).fill(++walletSeed));
+    const owner = keypair.publicKey.toBase58();
+    chain.fund(owner, 1_000_000_000n); // 1 SOL
+    chain.setToken(owner, USDC_MINT, 100_000_000n); // 100 USDC
+
+    try {
+        await fn({ chain, jup, fake: new FakeConnection(chain), keypair, owner });
+    } finally {
+        await jup.stop();
+        utils.setDataDir(RUN_DIR);
+        if (process.env.E2E_KEEP_DATA !== 'true') {
+            fs.rmSync(dataDir, { recursive: true, force: true });
+        }
+    }
+}
+
+function testConfig(overrides: Partial<DripConfig> = {}): DripConfig {
+    return {
+        mode: 'multi_route',
+        routes: [SOL_ROUTE, JUP_ROUTE],
+        tokens: [],
+        startDirection: 'SOL_TO_USDC',
+        triTokenFloor: 0.5,
+        totalTrades: 4,
+        volumeTargetUsd: null,
+        volumeTolerance: 0.05,
+        windowSec: 3600,
+        usdcMin: 1,
+        usdcMax: 2,
+        dryRun: false,
+        minDelaySec: 0,
+        estimatedExecMs: 45000,
+        safetyFactor: 0.85,
+        adaptiveExec: true,
+        pacing: null,
+        hold: null,
+        failBackoffSec: 1,
+        rpcUrl: 'fake://rpc',
+        mnemonic: '',
+        maxBuyRetries: 3,
+        maxSellRetries: 5,
+        resume: false,
+        priorityFee: { mode: 'fixed', microLamports: 1000, maxLamports: 100_000, percentile: 75, escalation: 1.5 },
+        simulate: true,
+        retry: {
+            buy: { baseBps: 100, stepBps: 25, maxBps: 200 },
+            sell: { baseBps: 100, stepBps: 50, maxBps: 400 },
+            backoffMaxSec: 300
+        },
+        lossBudget: { runUsdc: null, dayUsdc: null, cycleBps: null },
+        telegram: null,
+        solBufferSol: 0.01,
+        gasTopUp: null,
+        preflight: 'scale',
+        seed: 42,
+        ...overrides
+    };
+}
+
+function runDrip(h: Harness, config: DripConfig) {
+    return new MultiRouteDrip(h.fake.asConnection(), h.keypair, config, 'e2e').run();
+}
+
+function walletLedger(h: Harness) {
+    return ledger.readLedger(e => e.wallet === h.owner);
+}
+
+function readState(owner: string): DripState {
+    return JSON.parse(fs.readFileSync(path.join(utils.DATA_DIR, `state_v2_${owner}.json`), 'utf-8'));
+}
+
+const scenarios: Scenario[] = [
+    {
+        name: 'round trips land and are reconciled',
+        run: async h => {
+            const result = await runDrip(h, testConfig());
+            assert.equal(result.status, 'SUCCESS', result.error);
+            assert.equal(result.completedLegs, 4);
+
+            const state = readState(h.owner);
+            assert.notEqual(state.cycleState, CycleState.BOUGHT);
+            assert.equal(state.pendingTx, null);
+            assert.equal(h.chain.getBalance(h.owner, JUP_MINT), 0n, 'per-cycle sells leave no JUP behind');
+
+            const entries = walletLedger(h);
+            assert.equal(entries.length, 4);
+            assert.ok(entries.every(e => e.status === 'SUCCESS' && e.priorityFeeLamports === 200));
+            const usdcLost = 100 - Number(h.chain.getBalance(h.owner, USDC_MINT)) / 1e6;
+            assert.ok(usdcLost > 0 && usdcLost < 0.01, `round trips should only lose the spread, lost ${usdcLost}`);
+        }
+    },
+    {
+        name: 'the same seed replays the same routes and amounts',
+        run: async h => {
+            const config = testConfig({ seed: 7 });
+            await runDrip(h, config);
+            const first = walletLedger(h).map(e => `${e.route}:${e.side}:${e.inAmountRaw}`);
+            await runDrip(h, config);
+            const second = walletLedger(h).slice(first.length).map(e => `${e.route}:${e.side}:${e.inAmountRaw}`);
+            // Sell amounts follow the buys, so comparing every leg covers routes and amounts
+            assert.deepEqual(second, first);
+        }
+    },
+    {
+        name: 'retries back off on 429 and widen slippage on slippage errors',
+        run: async h => {
+            h.jup.script('quote', { status: 429, body: { error: 'Too Many Requests' } });
+            h.chain.queueOutcomes({ kind: 'fail', reason: 'slippage' });
+
+            const result = await runDrip(h, testConfig({ totalTrades: 2 }));
+            assert.equal(result.status, 'SUCCESS', result.error);
+
+            const buys = walletLedger(h).filter(e => e.side === 'BUY');
+            assert.deepEqual(buys.map(e => e.status), ['FAILED', 'FAILED', 'SUCCESS']);
+            assert.match(buys[0].error!, /429/);
+            assert.match(buys[1].error!, /6001/);
+            assert.equal(buys[2].slippageBps, 125);
+            assert.equal(buys[2].priorityFee, 'fixed:2250uL/CU');
+        }
+    },
+    {
+        name: 'simulation re-quotes without Meteora DLMM',
+        run: async h => {
+            h.jup.routeLabel = jupiter.METEORA_DLMM;
+            const result = await runDrip(h, testConfig({ totalTrades: 2, routes: [JUP_ROUTE] }));
+            assert.equal(result.status, 'SUCCESS', result.error);
+
+            const quotes = h.jup.requests.filter(r => r.endpoint === 'quote');
+            assert.ok(quotes.some(q => q.query.excludeDexes === jupiter.METEORA_DLMM));
+        }
+    },
+    {
+        name: 'insufficient funds in simulation aborts without retrying',
+        run: async h => {
+            h.chain.queueSimulations('insufficient-funds');
+            const result = await runDrip(h, testConfig({ totalTrades: 2 }));
+            assert.equal(result.status, 'FAILED');
+            assert.match(result.error!, /insufficient funds/);
+            assert.equal(walletLedger(h).length, 1);
+            assert.equal(h.chain.getBalance(h.owner, USDC_MINT), 100_000_000n, 'nothing was sent');
+        }
+    },
+    {
+        name: 'crash recovery sells the open position on the next run',
+        run: async h => {
+            const config = testConfig({ totalTrades: 2, routes: [JUP_ROUTE], maxSellRetries: 2 });
+            h.chain.queueOutcomes({ kind: 'land' }, { kind: 'fail', reason: 'slippage' }, { kind: 'fail', reason: 'slippage' });
+
+            const first = await runDrip(h, config);
+            assert.equal(first.status, 'FAILED');
+            assert.equal(readState(h.owner).cycleState, CycleState.BOUGHT);
+            assert.ok(h.chain.getBalance(h.owner, JUP_MINT) > 0n);
+
+            const second = await runDrip(h, config);
+            assert.equal(second.status, 'SUCCESS', second.error);
+            assert.equal(h.chain.getBalance(h.owner, JUP_MINT), 0n);
+            assert.ok(walletLedger(h).some(e => e.side === 'SELL' && e.recovery && e.status === 'SUCCESS'));
+        }
+    },
+    {
+        name: 'leg durations are learned per RPC endpoint',
+        run: async h => {
+            const config = testConfig({ rpcUrl: 'fake://learn?api-key=secret' });
+            assert.equal(new ExecEstimator(config.rpcUrl, config.estimatedExecMs).cycleMs(), 45000, 'nothing learned yet');
+            await runDrip(h, config);
+
+            const saved = JSON.parse(fs.readFileSync(path.join(utils.DATA_DIR, 'exec_estimates.json'), 'utf-8'));
+            const key = endpointKey(config.rpcUrl);
+            assert.ok(!key.includes('secret'), 'API key is not persisted');
+            assert.equal(saved[key].samples, 4);
+
+            // Fake legs land in milliseconds, so the learned cycle leaves far more room to wait
+            const learned = new ExecEstimator(config.rpcUrl, config.estimatedExecMs);
+            assert.ok(learned.isLearned() && learned.cycleMs() < 45000);
+            const state = { startTime: 0, completedTrades: 0, cycleState: CycleState.INIT } as DripState;
+            const tight = testConfig({ totalTrades: 40, windowSec: 20 * 45 });
+            const rng = () => 1;
+            assert.equal(scheduler.calculateDelay(tight, state, { rng, now: 0, silent: true }), 0, 'configured estimate fills the window');
+            assert.ok(scheduler.calculateDelay(tight, state, { rng, now: 0, execMs: learned.cycleMs() }) > 0);
+        }
+    },
+    {
+        name: 'pacing waits out quiet windows and still fits the window',
+        run: async () => {
+            const start = Date.parse('2025-01-01T02:00:00Z');
+            const config = testConfig({
+                totalTrades: 10,
+                windowSec: 24 * 3600,
+                pacing: parsePacingProfile('13-21:3', '02:00-04:00', 0)
+            });
+            const state = { startTime: start, completedTrades: 0, cycleState: CycleState.INIT } as DripState;
+            for (const r of [0, 0.5, 0.999]) {
+                const delay = scheduler.calculateDelay(config, state, { rng: () => r, now: start, silent: true });
+                assert.ok(delay >= 2 * 3600_000, `delay ${delay}ms starts inside the quiet window`);
+                assert.ok(delay <= config.windowSec * 1000 - 5 * config.estimatedExecMs);
+            }
+            // Near the deadline the profile cannot push trades past the window
+            const late = { ...state, completedTrades: 8 };
+            const now = start + 23 * 3600_000;
+            const delay = scheduler.calculateDelay(config, late, { rng: () => 0.999, now, silent: true });
+            assert.ok(now + delay + config.estimatedExecMs <= start + config.windowSec * 1000);
+
+            assert.throws(() => parsePacingProfile('0-24:0', undefined, 0), /no time to trade/);
+        }
+    },
+    {
+        name: 'a plan that falls behind still waits out a quiet window',
+        run: async () => {
+            // 15 minute cycles, 20 of them in 4 hours: behind schedule from the first BUY
+            const config = testConfig({
+                totalTrades: 40,
+                windowSec: 4 * 3600,
+                estimatedExecMs: 900_000,
+                pacing: parsePacingProfile(undefined, '02:00-03:00', 0)
+            });
+            const report = planSchedule(config, {
+                seeds: 3,
+                exec: { kind: 'fixed', ms: 450_000 },
+                failRate: 0,
+                startMs: Date.parse('2025-01-01T01:00:00Z')
+            });
+            assert.equal(report.aborted, 0);
+            assert.equal(report.buyHours.reduce((a, b) => a + b, 0), 3 * 20);
+            assert.equal(report.buyHours[2], 0, 'a BUY started inside the quiet window');
+            assert.equal(report.buyHours[3], 3 * 4);
+            assert.equal(report.overruns, 3);
+        }
+    },
+    {
+        name: 'a held position exits on take-profit or stop-loss',
+        run: async h => {
+            const tp = { minSec: 0, maxSec: 3600, takeProfitBps: 500, stopLossBps: 500, pollSec: 1 };
+            const config = testConfig({ totalTrades: 2, routes: [{ ...JUP_ROUTE, hold: tp }] });
+
+            // JUP rallies 20% right after the BUY: sold on take-profit at the higher price
+            h.jup.onSwap = n => { if (n === 1) h.jup.setPrice(JUP_MINT, 0.6); };
+            assert.equal((await runDrip(h, config)).status, 'SUCCESS');
+            const afterTp = Number(h.chain.getBalance(h.owner, USDC_MINT)) / 1e6;
+            assert.ok(afterTp > 100.1, `take-profit should realize the rally, USDC=${afterTp}`);
+            assert.equal(readState(h.owner).holdUntil, null);
+
+            // Then drops 20% after the next BUY: cut on stop-loss instead of waiting an hour
+            h.jup.onSwap = n => { if (n === 3) h.jup.setPrice(JUP_MINT, 0.48); };
+            assert.equal((await runDrip(h, config)).status, 'SUCCESS');
+            const afterSl = Number(h.chain.getBalance(h.owner, USDC_MINT)) / 1e6;
+            assert.ok(afterSl < afterTp - 0.1, `stop-loss should realize the drop, USDC=${afterSl}`);
+            assert.equal(h.chain.getBalance(h.owner, JUP_MINT), 0n);
+        }
+    },
+    {
+        name: 'a crash mid-hold is unwound on a fresh run and keeps its hold on resume',
+        run: async h => {
+            const tp = { minSec: 0, maxSec: 3600, takeProfitBps: 500, stopLossBps: null, pollSec: 1 };
+            const routes = [{ ...JUP_ROUTE, hold: tp }];
+
+            // Fresh run: the old hold is over, sell right away even though TP was not reached.
+            // (The new run's own BUY is then lifted into take-profit so it does not wait an hour.)
+            writeHeldState(h, Date.now() + 3600_000);
+            h.jup.onSwap = n => { if (n === 2) h.jup.setPrice(JUP_MINT, 0.6); };
+            assert.equal((await runDrip(h, testConfig({ totalTrades: 2, routes }))).status, 'SUCCESS');
+            assert.ok(walletLedger(h).some(e => e.side === 'SELL' && e.recovery && e.status === 'SUCCESS'));
+            assert.equal(h.chain.getBalance(h.owner, JUP_MINT), 0n);
+
+            // Resume: the hold continues with its persisted deadline and exits on take-profit
+            writeHeldState(h, Date.now() + 3600_000);
+            const resumed = await runDrip(h, testConfig({ totalTrades: 2, routes, resume: true }));
+            assert.equal(resumed.status, 'SUCCESS', resumed.error);
+            const sells = walletLedger(h).filter(e => e.side === 'SELL');
+            assert.deepEqual(sells.map(e => e.recovery), [true, false, false]);
+            assert.equal(h.chain.getBalance(h.owner, JUP_MINT), 0n);
+        }
+    },
+    {
+        name: 'an open position in the legacy shared state file is migrated to its wallet',
+        run: async h => {
+            const legacy = path.join(utils.DATA_DIR, 'state_v2.json');
+            const held = {
+                version: 2, completedTrades: 1, startTime: Date.now(), currentCycleId: 'legacy-run', cycleState: CycleState.BOUGHT,
+                currentRouteName: JUP_ROUTE.name, currentRouteTokenMint: JUP_MINT, lastBuyTx: 'legacy-buy', lastBuyTime: Date.now(), lastBuyAmount: '3000000'
+            };
+            h.chain.setToken(h.owner, JUP_MINT, 3_000_000n);
+            const config = testConfig({ totalTrades: 2, routes: [JUP_ROUTE] });
+            // Whose position it is cannot be known: refuse rather than start fresh and strand it
+            fs.writeFileSync(legacy, JSON.stringify(held));
+            await assert.rejects(runDrip(h, config), /holds an open JUP-USDC position but not which wallet/);
+            assert.equal(walletLedger(h).length, 0);
+            assert.ok(fs.existsSync(legacy));
+
+            // The operator names the wallet: the position moves to its state file and is sold first
+            fs.writeFileSync(legacy, JSON.stringify({ ...held, owner: h.owner }));
+            const result = await runDrip(h, config);
+            assert.equal(result.status, 'SUCCESS', result.error);
+            const first = walletLedger(h)[0];
+            assert.deepEqual([first.side, first.inAmountRaw, first.recovery], ['SELL', '3000000', true]);
+            assert.equal(h.chain.getBalance(h.owner, JUP_MINT), 0n);
+            assert.ok(!fs.existsSync(legacy));
+            assert.ok(fs.readdirSync(utils.DATA_DIR).some(f => f.startsWith('state_v2.json.migrated-')));
+        }
+    },
+    {
+        name: 'a loss budget stops the run and unwinds an open position first',
+        run: async h => {
+            // JUP drops 10% right after the first BUY: that round trip alone breaks the per-cycle limit
+            h.jup.onSwap = n => { if (n === 1) h.jup.setPrice(JUP_MINT, 0.45); };
+            const config = testConfig({ totalTrades: 6, routes: [JUP_ROUTE], lossBudget: { runUsdc: null, dayUsdc: 0.05, cycleBps: 500 } });
+            const result = await runDrip(h, config);
+            assert.equal(result.status, 'SUCCESS', result.error);
+            assert.match(result.stopReason!, /per cycle/);
+            assert.equal(result.completedLegs, 2);
+            assert.equal(h.chain.getBalance(h.owner, JUP_MINT), 0n);
+            assert.ok(readState(h.owner).lossUsdc! > 0.05);
+
+            // Today's budget is spent: a resumed position is sold at once, hold or not, and nothing is bought
+            writeHeldState(h, Date.now() + 3600_000);
+            const before = walletLedger(h).length;
+            const resumed = await runDrip(h, { ...config, resume: true });
+            assert.equal(resumed.status, 'SUCCESS', resumed.error);
+            assert.match(resumed.stopReason!, /today's loss/);
+            assert.deepEqual(walletLedger(h).slice(before).map(e => `${e.side}:${e.status}`), ['SELL:SUCCESS']);
+            assert.equal(h.chain.getBalance(h.owner, JUP_MINT), 0n);
+            assert.equal(readState(h.owner).cycleState, CycleState.SOLD);
+        }
+    },
+    {
+        name: "today's loss is recorded without a day budget, so one set later counts it",
+        run: async h => {
+            h.jup.onSwap = n => { if (n === 1) h.jup.setPrice(JUP_MINT, 0.45); };
+            const first = await runDrip(h, testConfig({ totalTrades: 2, routes: [JUP_ROUTE] }));
+            assert.equal(first.status, 'SUCCESS', first.error);
+            assert.ok(readState(h.owner).lossUsdc! > 0.05);
+
+            const before = walletLedger(h).length;
+            const budgeted = await runDrip(h, testConfig({ totalTrades: 2, routes: [JUP_ROUTE], lossBudget: { runUsdc: null, dayUsdc: 0.05, cycleBps: null } }));
+            assert.equal(budgeted.status, 'SUCCESS', budgeted.error);
+            assert.match(budgeted.stopReason!, /today's loss/);
+            assert.equal(walletLedger(h).length, before);
+        }
+    },
+    {
+        name: "a fresh run's recovery SELL loss counts towards today's budget, not this run's",
+        run: async h => {
+            // The held 3 JUP cost 1.5 USDC and now fetch 1.35: a 1000bps loss made by the previous run
+            h.jup.setPrice(JUP_MINT, 0.45);
+            writeHeldState(h, Date.now() + 3600_000);
+            const config = testConfig({ totalTrades: 4, routes: [JUP_ROUTE], lossBudget: { runUsdc: 0.1, dayUsdc: null, cycleBps: 500 } });
+            const result = await runDrip(h, config);
+            assert.equal(result.status, 'SUCCESS', result.error);
+            assert.equal(result.stopReason, undefined);
+            assert.equal(result.completedLegs, 4);
+            assert.ok(readState(h.owner).lossUsdc! < 0.1);
+
+            // With a day budget the same loss is today's, and it stops the new run before any BUY
+            writeHeldState(h, Date.now() + 3600_000);
+            const before = walletLedger(h).length;
+            const dayConfig = testConfig({ totalTrades: 4, routes: [JUP_ROUTE], lossBudget: { runUsdc: null, dayUsdc: 0.1, cycleBps: null } });
+            const stopped = await runDrip(h, dayConfig);
+            assert.equal(stopped.status, 'SUCCESS', stopped.error);
+            assert.match(stopped.stopReason!, /today's loss/);
+            assert.deepEqual(walletLedger(h).slice(before).map(e => `${e.side}:${e.recovery ? 'recovery' : ''}`), ['SELL:recovery']);
+            assert.equal(readState(h.owner).lossUsdc, 0);
+        }
+    },
+    {
+        name: 'wallets run one after another, each with its own state, past a failed one',
+        run: async h => {
+            const mnemonics = ['00', '11'].map(b => bip39.entropyToMnemonic(b.repeat(16)));
+            const owners = mnemonics.map(m => deriveKeypair(m).publicKey.toBase58());
+            for (const owner of owners) {
+                h.chain.fund(owner, 1_000_000_000n);
+                h.chain.setToken(owner, USDC_MINT, 100_000_000n);
+            }
+            // The first wallet's BUY lands, then every SELL attempt fails: it stops holding JUP
+            h.chain.queueOutcomes({ kind: 'land' }, ...new Array(testConfig().maxSellRetries).fill({ kind: 'fail', reason: 'slippage' }));
+            const logged: string[] = [];
+            const log = console.log;
+            process.env.WALLET_KEYS = mnemonics.join(',');
+            process.env.WALLET_LABELS = 'first,second';
+            console.log = (...args: any[]) => { logged.push(args.join(' ')); log(...args); };
+            let results;
+            try {
+                results = await orchestrator.runWallets(h.fake.asConnection(), testConfig({ totalTrades: 2, routes: [JUP_ROUTE] }));
+            } finally {
+                console.log = log;
+                delete process.env.WALLET_KEYS;
+                delete process.env.WALLET_LABELS;
+            }
+            assert.deepEqual(results.map(r => `${r.walletId}:${r.status}:${r.completedLegs}`), ['first:FAILED:1', 'second:SUCCESS:2']);
+
+            const [first, second] = owners.map(readState);
+            assert.deepEqual([first.cycleState, first.completedTrades, first.lastBuyAmount !== null], [CycleState.BOUGHT, 1, true]);
+            assert.deepEqual([second.cycleState, second.completedTrades], [CycleState.SOLD, 2]);
+            assert.ok(h.chain.getBalance(owners[0], JUP_MINT) > 0n);
+            assert.equal(h.chain.getBalance(owners[1], JUP_MINT), 0n);
+            for (const owner of owners) {
+                assert.ok(!fs.existsSync(path.join(utils.DATA_DIR, `state_v2_${owner}.lock`)), 'lock released');
+            }
+            assert.ok(logged.includes('Wallets: 2 | OK: 1 | Failed: 1'), 'combined summary printed');
+        }
+    },
+    {
+        name: 'a shutdown signal sells the open position without waiting out its hold',
+        run: async h => {
+            const uninstall = shutdown.install();
+            // Ctrl-C shortly after the first BUY, during (or just before) a one-hour hold
+            h.jup.onSwap = n => { if (n === 1) setTimeout(() => process.emit('SIGINT'), 50); };
+            const hourHold = { minSec: 3600, maxSec: 3600, takeProfitBps: null, stopLossBps: null, pollSec: 1 };
+            try {
+                const result = await runDrip(h, testConfig({ totalTrades: 6, routes: [{ ...JUP_ROUTE, hold: hourHold }] }));
+                assert.equal(result.status, 'SUCCESS', result.error);
+                assert.equal(result.stopReason, 'interrupted by SIGINT');
+                assert.equal(result.completedLegs, 2);
+                assert.deepEqual(walletLedger(h).map(e => `${e.side}:${e.status}`), ['BUY:SUCCESS', 'SELL:SUCCESS']);
+                assert.equal(h.chain.getBalance(h.owner, JUP_MINT), 0n);
+                const state = readState(h.owner);
+                assert.equal(state.cycleState, CycleState.SOLD);
+                assert.equal(state.completedTrades, 2);
+            } finally {
+                uninstall();
+                shutdown.reset();
+            }
+        }
+    },
+    {
+        name: 'a shutdown signal during BUY retries stops without buying again',
+        run: async h => {
+            const uninstall = shutdown.install();
+            // Ctrl-C arrives while the first BUY is in flight and fails: its retry must not buy after all
+            h.jup.onSwap = n => { if (n === 1) process.emit('SIGINT'); };
+            h.chain.queueOutcomes({ kind: 'fail', reason: 'slippage' });
+            try {
+                const result = await runDrip(h, testConfig({ totalTrades: 4, routes: [JUP_ROUTE] }));
+                assert.equal(result.status, 'SUCCESS', result.error);
+                assert.equal(result.stopReason, 'interrupted by SIGINT');
+                assert.equal(result.completedLegs, 0);
+                assert.deepEqual(walletLedger(h).map(e => `${e.side}:${e.status}`), ['BUY:FAILED']);
+                assert.equal(h.chain.getBalance(h.owner, JUP_MINT), 0n);
+            } finally {
+                uninstall();
+                shutdown.reset();
+            }
+        }
+    },
+    {
+        name: 'unwind sells only the route tokens the ledger attributes to the bot',
+        run: async h => {
+            // A BUY of 3 JUP was never sold and the state file is gone; the owner holds 2 JUP of their own
+            appendLostBuy(h);
+            h.chain.setToken(h.owner, JUP_MINT, 5_000_000n);
+            const bot = () => new MultiRouteDrip(h.fake.asConnection(), h.keypair, testConfig({ routes: [JUP_ROUTE] }), 'e2e');
+
+            const preview = await bot().unwind(true);
+            assert.equal(preview.status, 'SUCCESS', preview.error);
+            assert.equal(preview.sells, 1);
+            assert.ok(preview.usdcOut > 1.4 && preview.usdcOut <= 1.5, `quoted ${preview.usdcOut} USDC for 3 JUP`);
+            assert.equal(walletLedger(h).length, 1, 'a preview sends nothing');
+            assert.equal(h.chain.getBalance(h.owner, JUP_MINT), 5_000_000n);
+
+            const result = await bot().unwind(false);
+            assert.equal(result.status, 'SUCCESS', result.error);
+            assert.equal(result.sells, 1);
+            assert.ok(result.usdcOut > 1.4 && result.usdcOut <= 1.5, `received ${result.usdcOut} USDC for 3 JUP`);
+            assert.equal(h.chain.getBalance(h.owner, JUP_MINT), 2_000_000n);
+            const sell = walletLedger(h).slice(-1)[0];
+            assert.deepEqual([sell.side, sell.status, sell.inAmountRaw, sell.recovery], ['SELL', 'SUCCESS', '3000000', true]);
+            const after = readState(h.owner);
+            assert.deepEqual([after.completedTrades, after.volumeUsd ?? 0, after.pendingTx], [0, 0, null]);
+
+            // The ledger now balances: nothing more is the bot's
+            const again = await bot().unwind(false);
+            assert.equal(again.sells, 0);
+            assert.equal(h.chain.getBalance(h.owner, JUP_MINT), 2_000_000n);
+        }
+    },
+    {
+        name: 'a failed unwind SELL leaves the saved run as it was',
+        run: async h => {
+            stateMgr.saveState({
+                version: 2, completedTrades: 2, volumeUsd: 3, startTime: Date.now(), currentCycleId: 'saved-run', cycleState: CycleState.SOLD,
+                currentRouteName: null, currentRouteTokenMint: null, lastBuyTx: null, lastBuyTime: null, lastBuyAmount: null
+            }, h.owner);
+            appendLostBuy(h);
+            h.chain.setToken(h.owner, JUP_MINT, 3_000_000n);
+            const bot = () => new MultiRouteDrip(h.fake.asConnection(), h.keypair, testConfig({ routes: [JUP_ROUTE] }), 'e2e');
+
+            const config = testConfig();
+            h.chain.queueOutcomes(...new Array(config.maxSellRetries).fill({ kind: 'fail', reason: 'slippage' }));
+            const failed = await bot().unwind(false);
+            assert.equal(failed.status, 'FAILED');
+            assert.deepEqual(walletLedger(h).slice(1).map(e => `${e.side}:${e.status}`), new Array(config.maxSellRetries).fill('SELL:FAILED'));
+            assert.equal(h.chain.getBalance(h.owner, JUP_MINT), 3_000_000n);
+            // No position for the next drip run to sell, and no leg or volume counted
+            const saved = readState(h.owner);
+            assert.deepEqual([saved.cycleState, saved.completedTrades, saved.volumeUsd, saved.pendingTx ?? null], [CycleState.SOLD, 2, 3, null]);
+
+            const retried = await bot().unwind(false);
+            assert.equal(retried.status, 'SUCCESS', retried.error);
+            assert.equal(h.chain.getBalance(h.owner, JUP_MINT), 0n);
+            assert.deepEqual([readState(h.owner).completedTrades, readState(h.owner).volumeUsd], [2, 3]);
+        }
+    },
+    {
+        name: 'unwind leaves tri_token inventory alone',
+        run: async h => {
+            // JUP is far below its share of the pool, so the rotation buys it with USDC
+            h.chain.fund(h.owner, 10_000_000n + 66_666_667n);
+            h.chain.setToken(h.owner, USDC_MINT, 20_000_000n);
+            h.chain.setToken(h.owner, JUP_MINT, 4_000_000n);
+            const result = await runDrip(h, testConfig({ mode: 'tri_token', tokens: POOL, totalTrades: 6, usdcMin: 0.5, usdcMax: 1.5 }));
+            assert.equal(result.status, 'SUCCESS', result.error);
+            const jupBought = walletLedger(h).filter(e => e.side === 'BUY' && e.outputMint === JUP_MINT);
+            assert.ok(jupBought.length > 0, 'the run bought JUP with USDC');
+
+            const before = walletLedger(h).length;
+            const preview = await new MultiRouteDrip(h.fake.asConnection(), h.keypair, testConfig({ routes: [JUP_ROUTE] }), 'e2e').unwind(true);
+            assert.equal(preview.status, 'SUCCESS', preview.error);
+            assert.equal(preview.sells, 0);
+            assert.equal(preview.usdcOut, 0);
+            assert.equal(walletLedger(h).length, before);
+        }
+    },
+    {
+        name: 'a new route mint is resolved from chain, cached, and never guessed',
+        run: async h => {
+            // 9 decimals: sized as the old default of 6 it would buy 1000x too little
+            const fooMint = Keypair.fromSeed(new Uint8Array(32).fill(201)).publicKey.toBase58();
+            h.chain.createMint(fooMint, 9);
+            h.jup.setPrice(fooMint, 2);
+            const fooRoute: Route = { name: 'FOO-USDC', tokenMint: fooMint, usdcMint: USDC_MINT };
+
+            const result = await runDrip(h, testConfig({ totalTrades: 2, routes: [fooRoute] }));
+            assert.equal(result.status, 'SUCCESS', result.error);
+            const buy = walletLedger(h).find(e => e.side === 'BUY')!;
+            const fooPerUsdc = Number(buy.outAmountRaw) / 1e9 / (Number(buy.inAmountRaw) / 1e6);
+            assert.ok(fooPerUsdc > 0.49 && fooPerUsdc <= 0.5, `bought ${fooPerUsdc} FOO per USDC at $2`);
+            assert.deepEqual(tokens.lookup(fooMint), { mint: fooMint, decimals: 9, program: TOKEN_PROGRAM.toBase58(), symbol: 'FOO' });
+            // DRIP_ROUTES symbols come from the config, not from whatever this machine cached
+            const keys = ['DRIP_ROUTES', 'DRIP_ROUTES_JSON', 'DRIP_TOKENS_JSON'];
+            const saved = keys.map(k => process.env[k]);
+            try {
+                process.env.DRIP_ROUTES = 'FOO-USDC';
+                delete process.env.DRIP_ROUTES_JSON;
+                delete process.env.DRIP_TOKENS_JSON;
+                assert.throws(() => loadConfig(), /Unknown mint for symbol FOO/);
+                process.env.DRIP_TOKENS_JSON = JSON.stringify([{ mint: fooMint, decimals: 9, symbol: 'foo' }]);
+                assert.equal(loadConfig().routes[0].tokenMint, fooMint);
+            } finally {
+                keys.forEach((k, i) => { if (saved[i] === undefined) delete process.env[k]; else process.env[k] = saved[i]; });
+            }
+            const cachedFile = JSON.parse(fs.readFileSync(path.join(utils.DATA_DIR, 'tokens.json'), 'utf-8'));
+            assert.equal(cachedFile[fooMint].decimals, 9);
+
+            // No mint account behind the address: the wallet fails before anything is sent
+            const ghost = Keypair.fromSeed(new Uint8Array(32).fill(202)).publicKey.toBase58();
+            const before = walletLedger(h).length;
+            await assert.rejects(runDrip(h, testConfig({ routes: [{ name: 'GHOST-USDC', tokenMint: ghost, usdcMint: USDC_MINT }] })),
+                /Cannot resolve token .*no token mint account/);
+            assert.equal(walletLedger(h).length, before);
+            assert.throws(() => utils.getDecimals(ghost), /Unknown decimals/);
+        }
+    },
+    {
+        name: 'preflight counts no priority fee when the fee mode pays none',
+        run: async h => {
+            // 0.03 SOL: plenty for 10 legs at the base fee, far short at the 1M lamport cap per attempt
+            h.chain.fund(h.owner, 30_000_000n);
+            const priorityFee = { mode: 'none' as const, microLamports: 1000, maxLamports: 1_000_000, percentile: 75, escalation: 1.5 };
+            const result = await runDrip(h, testConfig({ totalTrades: 10, routes: [JUP_ROUTE], priorityFee, preflight: 'strict' }));
+            assert.equal(result.status, 'SUCCESS', result.error);
+            assert.equal(result.targetLegs, 10);
+            assert.equal(result.completedLegs, 10);
+        }
+    },
+    {
+        name: 'preflight is skipped, not failed, when the RPC cannot read the balances',
+        run: async h => {
+            // Read as 0 USDC this would refuse the wallet in strict mode
+            h.chain.failRpc('getTokenAccountBalance', new Error('fetch failed: ECONNRESET'));
+            const result = await runDrip(h, testConfig({ totalTrades: 2, routes: [JUP_ROUTE], preflight: 'strict' }));
+            assert.equal(result.status, 'SUCCESS', result.error);
+            assert.equal(result.completedLegs, 2);
+        }
+    },
+    {
+        name: 'preflight scales the plan down to the balances, or refuses in strict mode',
+        run: async h => {
+            // 1.5 USDC for 1-2 USDC legs; SOL for the buffer, the JUP account rent and two worst-case legs
+            // ceil((3 + 5) / 2) attempts at 5000 lamports plus 1000uL/CU escalated x1.5 per retry over 400k CU
+            const perLeg = 4n * 5000n + 400n + 600n + 900n + 1350n;
+            h.chain.setToken(h.owner, USDC_MINT, 1_500_000n);
+            h.chain.fund(h.owner, 10_000_000n + 2_039_280n + 2n * perLeg + 1000n);
+            const config = testConfig({ totalTrades: 4, routes: [JUP_ROUTE] });
+
+            const strict = await runDrip(h, { ...config, preflight: 'strict' });
+            assert.equal(strict.status, 'FAILED');
+            assert.match(strict.error!, /Preflight refused to start: .*usdcMax 2 -> 1\.5, legs 4 -> 2/);
+            assert.equal(walletLedger(h).length, 0, 'nothing was sent');
+
+            const result = await runDrip(h, config);
+            assert.equal(result.status, 'SUCCESS', result.error);
+            assert.equal(result.completedLegs, 2);
+            const buy = walletLedger(h).find(e => e.side === 'BUY')!;
+            assert.ok(BigInt(buy.inAmountRaw) <= 1_500_000n, `BUY of ${buy.inAmountRaw} exceeds the USDC held`);
+
+            // Not even one leg's fees above the buffer: refused whatever the mode
+            h.chain.fund(h.owner, 10_000_000n);
+            const broke = await runDrip(h, config);
+            assert.equal(broke.status, 'FAILED');
+            assert.match(broke.error!, /cannot pay the fees of a single leg/);
+        }
+    },
+    {
+        name: 'a wallet below its SOL floor is topped up from USDC outside the route stats',
+        run: async h => {
+            h.chain.fund(h.owner, 20_000_000n); // 0.02 SOL
+            const gasTopUp = { floorSol: 0.05, targetSol: 0.1, maxUsdc: 5 };
+            const result = await runDrip(h, testConfig({ totalTrades: 4, routes: [JUP_ROUTE], gasTopUp }));
+            assert.equal(result.status, 'SUCCESS', result.error);
+            assert.equal(result.completedLegs, 4, 'the top-up is not a leg');
+
+            // (0.1 - 0.02) SOL at 150 USD is 12 USDC, bounded to 5; afterwards the wallet stays above the floor
+            const entries = walletLedger(h);
+            assert.deepEqual(entries.map(e => e.side), ['TOPUP', 'BUY', 'SELL', 'BUY', 'SELL']);
+            assert.equal(entries[0].inAmountRaw, '5000000');
+            assert.ok(h.chain.getBalance(h.owner, SOL_MINT) > 50_000_000n);
+
+            const stats = readState(h.owner).stats!;
+            assert.equal(stats.topUps!.count, 1);
+            assert.ok(Math.abs(stats.topUps!.usdcIn - 5) < 1e-9);
+            assert.ok(stats.routes['JUP-USDC'].usdcIn < 5, 'route PnL excludes the top-up');
+            assert.equal(stats.routes['GAS-TOPUP'], undefined);
+            assert.equal(stats.tokenNet![SOL_MINT], undefined);
+            assert.ok(Math.abs(result.usdcIn - stats.routes['JUP-USDC'].usdcIn) < 1e-9);
+        }
+    },
+    {
+        name: 'alternating legs flip direction, skipping what the wallet cannot pay',
+        run: async h => {
+            // No USDC for the first USDC->SOL leg: the slot is skipped and the direction flips
+            h.chain.setToken(h.owner, USDC_MINT, 0n);
+            const result = await runDrip(h, testConfig({ mode: 'alternating', startDirection: 'USDC_TO_SOL', totalTrades: 3 }));
+            assert.equal(result.status, 'SUCCESS', result.error);
+            assert.equal(result.completedLegs, 3);
+
+            const entries = walletLedger(h);
+            assert.deepEqual(entries.map(e => `${e.side}:${e.inputMint === SOL_MINT ? 'SOL' : 'USDC'}`), ['SELL:SOL', 'BUY:USDC', 'SELL:SOL']);
+            assert.ok(entries.every(e => e.status === 'SUCCESS'));
+            assert.equal(readState(h.owner).cycleState, CycleState.INIT, 'standalone legs open no position');
+            assert.ok(h.chain.getBalance(h.owner, USDC_MINT) > 0n);
+        }
+    },
+    {
+        name: 'a volume target stops within tolerance and resume trades only what remains',
+        run: async h => {
+            // USDC notional the ledger shows for this wallet's successful legs
+            const traded = () => walletLedger(h)
+                .filter(e => e.status === 'SUCCESS')
+                .reduce((sum, e) => sum + Number(e.side === 'BUY' ? e.inAmountRaw : e.outAmountRaw) / 1e6, 0);
+
+            const config = testConfig({ volumeTargetUsd: 10, volumeTolerance: 0.05 });
+            const result = await runDrip(h, config);
+            assert.equal(result.status, 'SUCCESS', result.error);
+            const first = readState(h.owner).volumeUsd!;
+            assert.ok(first >= 9.5 && first <= 10 + config.usdcMin, `volume ${first}`);
+            assert.ok(Math.abs(first - traded()) < 1e-6, 'persisted volume matches the fills');
+            assert.equal(result.completedLegs % 2, 0, 'whole round trips only');
+
+            // A larger target on resume continues from the persisted volume, not from zero
+            const resumed = await runDrip(h, { ...config, volumeTargetUsd: 16, resume: true });
+            assert.equal(resumed.status, 'SUCCESS', resumed.error);
+            const total = readState(h.owner).volumeUsd!;
+            assert.ok(total >= 15.2 && total <= 16 + config.usdcMin, `volume ${total}`);
+            assert.ok(Math.abs(total - traded()) < 1e-6);
+            assert.ok(resumed.completedLegs - result.completedLegs <= 6, 'only the missing ~6 USD was traded');
+        }
+    },
+    {
+        name: 'tri_token rotates the pool without draining any token',
+        run: async h => {
+            // 10 USD of each: spendable SOL (above the 0.01 fee buffer), USDC and JUP
+            h.chain.fund(h.owner, 10_000_000n + 66_666_667n);
+            h.chain.setToken(h.owner, USDC_MINT, 10_000_000n);
+            h.chain.setToken(h.owner, JUP_MINT, 20_000_000n);
+            const config = testConfig({ mode: 'tri_token', tokens: POOL, totalTrades: 12, usdcMin: 0.5, usdcMax: 1.5 });
+            const result = await runDrip(h, config);
+            assert.equal(result.status, 'SUCCESS', result.error);
+            assert.equal(result.completedLegs, 12);
+
+            const pool = POOL.map(t => t.mint);
+            for (const e of walletLedger(h)) {
+                assert.ok(pool.includes(e.inputMint) && pool.includes(e.outputMint) && e.inputMint !== e.outputMint);
+                const side = e.inputMint === USDC_MINT ? 'BUY' : e.outputMint === USDC_MINT ? 'SELL' : 'SWAP';
+                assert.equal(e.side, side, e.route);
+            }
+            const state = readState(h.owner);
+            assert.equal(state.cycleState, CycleState.INIT);
+
+            // Every token keeps its floor (half of the ~10 USD equal share)
+            const usd = {
+                SOL: Number(h.chain.getBalance(h.owner, SOL_MINT) - 10_000_000n) / 1e9 * PRICES[SOL_MINT],
+                USDC: Number(h.chain.getBalance(h.owner, USDC_MINT)) / 1e6,
+                JUP: Number(h.chain.getBalance(h.owner, JUP_MINT)) / 1e6 * PRICES[JUP_MINT]
+            };
+            for (const [symbol, value] of Object.entries(usd)) {
+                assert.ok(value > 4.5, `${symbol} drained to ${value.toFixed(2)} USD`);
+            }
+
+            // Net per token comes from the fills and is persisted with the stats
+            const net = state.stats!.tokenNet!;
+            assert.equal(BigInt(net[USDC_MINT] ?? '0'), h.chain.getBalance(h.owner, USDC_MINT) - 10_000_000n);
+            assert.equal(BigInt(net[JUP_MINT] ?? '0'), h.chain.getBalance(h.owner, JUP_MINT) - 20_000_000n);
+        }
+    },
+    {
+        name: 'a tri_token swap pending at crash time settles without opening a position',
+        run: async h => {
+            const quote = await jupiter.getQuote(USDC_MINT, JUP_MINT, 1_500_000n, 100);
+            h.chain.queueOutcomes({ kind: 'land-after', sends: 1 });
+            const signed = jupiter.signSwap(h.keypair, await jupiter.getSwapTransaction(quote, h.owner));
+            writeCrashedState(h.owner, signed, quote.outAmount, true);
+
+            const result = await runDrip(h, testConfig({ mode: 'tri_token', tokens: POOL, totalTrades: 1, resume: true }));
+            assert.equal(result.status, 'SUCCESS', result.error);
+            assert.equal(result.completedLegs, 1, 'the settled swap is the only leg');
+
+            const entries = walletLedger(h);
+            assert.deepEqual(entries.map(e => [e.side, e.status, e.signature]), [['BUY', 'SUCCESS', signed.signature]]);
+            assert.equal(readState(h.owner).cycleState, CycleState.INIT);
+            assert.ok(h.chain.getBalance(h.owner, JUP_MINT) > 0n, 'nothing was sold back');
+        }
+    },
+    {
+        name: 'a swap pending at crash time is settled exactly once',
+        run: async h => {
+            // Signed and persisted, then the process died before the first broadcast
+            const quote = await jupiter.getQuote(USDC_MINT, JUP_MINT, 1_500_000n, 100);
+            h.chain.queueOutcomes({ kind: 'land-after', sends: 1 });
+            const signed = jupiter.signSwap(h.keypair, await jupiter.getSwapTransaction(quote, h.owner));
+            writeCrashedState(h.owner, signed, quote.outAmount);
+
+            const result = await runDrip(h, testConfig({ totalTrades: 2, routes: [JUP_ROUTE], resume: true }));
+            assert.equal(result.status, 'SUCCESS', result.error);
+            assert.equal(result.completedLegs, 2, 'settled BUY plus its SELL');
+
+            const buys = walletLedger(h).filter(e => e.side === 'BUY');
+            assert.deepEqual(buys.map(e => [e.status, e.signature]), [['SUCCESS', signed.signature]]);
+            assert.equal(h.chain.getBalance(h.owner, JUP_MINT), 0n);
+        }
+    },
+    {
+        name: 'a pending swap that expired is never applied',
+        run: async h => {
+            const quote = await jupiter.getQuote(USDC_MINT, JUP_MINT, 1_500_000n, 100);
+            h.chain.queueOutcomes({ kind: 'drop' });
+            const signed = jupiter.signSwap(h.keypair, await jupiter.getSwapTransaction(quote, h.owner));
+            writeCrashedState(h.owner, signed, quote.outAmount);
+
+            const result = await runDrip(h, testConfig({ totalTrades: 2, routes: [JUP_ROUTE], resume: true }));
+            assert.equal(result.status, 'SUCCESS', result.error);
+
+            const buys = walletLedger(h).filter(e => e.side === 'BUY');
+            assert.equal(buys[0].signature, signed.signature);
+            assert.equal(buys[0].status, 'FAILED');
+            assert.match(buys[0].error!, /expired/);
+            assert.equal(buys.filter(e => e.status === 'SUCCESS').length, 1);
+        }
+    }
+];
+
+const POOL: TokenSpec[] = [
+    { mint: SOL_MINT, decimals: 9, symbol: 'SOL' },
+    { mint: USDC_MINT, decimals: 6, symbol: 'USDC' },
+    { mint: JUP_MINT, decimals: 6, symbol: 'JUP' }
+];
+
+// A BUY of 3 JUP for 1.5 USDC in the ledger whose run state is gone
+function appendLostBuy(h: Harness) {
+    ledger.appendLeg({
+        ts: new Date().toISOString(), runId: 'lost-run', wallet: h.owner, route: JUP_ROUTE.name, side: 'BUY', status: 'SUCCESS',
+        inputMint: USDC_MINT, outputMint: JUP_MINT, inAmountRaw: '1500000', outAmountRaw: '3000000', quotedOutAmountRaw: '3000000',
+        signature: 'lost-buy', slot: 1, feeLamports: 5000, baseFeeLamports: 5000, priorityFeeLamports: 0, rentLamports: 0,
+        slippageBps: 50, priorityFee: null, attempt: 1, recovery: false, roundTrip: true, dryRun: false
+    });
+}
+
+// BOUGHT 3 JUP for 1.5 USDC, held until holdUntil, then the process died
+function writeHeldState(h: Harness, holdUntil: number) {
+    h.chain.setToken(h.owner, JUP_MINT, 3_000_000n);
+    stateMgr.saveState({
+        version: 2,
+        completedTrades: 1,
+        startTime: Date.now(),
+        currentCycleId: 'held-run',
+        cycleState: CycleState.BOUGHT,
+        currentRouteName: JUP_ROUTE.name,
+        currentRouteTokenMint: JUP_MINT,
+        lastBuyTx: 'held-buy',
+        lastBuyTime: Date.now(),
+        lastBuyAmount: '3000000',
+        lastBuyCostRaw: '1500000',
+        holdMinUntil: Date.now(),
+        holdUntil
+    }, h.owner);
+}
+
+function writeCrashedState(owner: string, signed: jupiter.SignedSwap, quotedOutAmountRaw: string, standalone: boolean = false) {
+    stateMgr.saveState({
+        version: 2,
+        completedTrades: 0,
+        startTime: Date.now(),
+        currentCycleId: 'crashed-run',
+        cycleState: CycleState.INIT,
+        currentRouteName: null,
+        currentRouteTokenMint: null,
+        lastBuyTx: null,
+        lastBuyTime: null,
+        lastBuyAmount: null,
+        pendingTx: {
+            signature: signed.signature,
+            rawTx: signed.rawTx,
+            lastValidBlockHeight: signed.lastValidBlockHeight,
+            sentAt: Date.now(),
+            quotedOutAmountRaw,
+            ...(standalone ? { standalone } : {}),
+            leg: {
+                route: standalone ? 'USDC->JUP' : JUP_ROUTE.name,
+                side: 'BUY',
+                inputMint: USDC_MINT,
+                outputMint: JUP_MINT,
+                inAmountRaw: '1500000',
+                slippageBps: 100,
+                priorityFee: null,
+                attempt: 1,
+                recovery: false
+            }
+        }
+    }, owner);
+}
+
+// Runs every scenario (or those whose name contains `filter`); returns the failure count
+export async function runAll(filter?: string): Promise<number> {
+    // Waits (scheduler delays, backoff, rebroadcast) are skipped: the fake chain does not need time to pass
+    utils.setSleepImpl(() => new Promise(resolve => setImmediate(resolve)));
+
+    let failed = 0;
+    for (const scenario of scenarios.filter(s => !filter || s.name.includes(filter))) {
+        try {
+            await withHarness(scenario.run);
+            console.log(`[E2E] PASS ${scenario.name}`);
+        } catch (e: any) {
+            failed++;
+            console.error(`[E2E] FAIL ${scenario.name}\n${e.stack || e.message}`);
+        }
+    }
+    return failed;
+}
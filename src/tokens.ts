@@ -0,0 +1,139 @@
+
+import * as fs from 'fs';
+import * as path from 'path';
+import { Connection, PublicKey } from '@solana/web3.js';
+import { DripConfig } from './types';
+import * as utils from './utils';
+import { writeFileAtomic } from './state';
+
+// Decimals, token program and symbol of every mint the engine trades. Read from the
+// mint account on first use and cached in data/tokens.json. A mint that cannot be
+// resolved is an error, never a guess: a 9-decimal token sized as 6 trades 1000x
+// the intended amount.
+
+export const TOKEN_PROGRAM = 'TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA';
+export const TOKEN_2022_PROGRAM = 'TokenzQdBNbLqP5VEhdkAS6EPFLC1PHnBqCXEpPxuEb';
+const METADATA_PROGRAM = 'metaqbxxUerdq28cj1RbAWkYQm3ybzjb6a8bt518x1s';
+
+export interface TokenInfo {
+    mint: string;
+    decimals: number;
+    program: string;       // Owning token program (TOKEN_PROGRAM or TOKEN_2022_PROGRAM)
+    symbol: string | null; // Token metadata, else the configured name; null if neither
+}
+
+function registryFile(): string {
+    return path.join(utils.DATA_DIR, 'tokens.json');
+}
+
+// Mints every setup uses: no lookup needed
+const BUILTIN: TokenInfo[] = [
+    { mint: 'So11111111111111111111111111111111111111112', decimals: 9, program: TOKEN_PROGRAM, symbol: 'SOL' },
+    { mint: 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v', decimals: 6, program: TOKEN_PROGRAM, symbol: 'USDC' },
+    { mint: 'JUPyiwrYJFskUPiHa7hkeR8VUtAeFoSYbKedZNsDvCN', decimals: 6, program: TOKEN_PROGRAM, symbol: 'JUP' },
+    { mint: 'DezXAZ8z7PnrnRJjz3wXBoRgixCa6xjnB7YaB1pPB263', decimals: 5, program: TOKEN_PROGRAM, symbol: 'BONK' }
+];
+
+let cache: Record<string, TokenInfo> | null = null;
+let cacheFile: string | null = null; // Registry file the cache was read from
+
+function cached(): Record<string, TokenInfo> {
+    const file = registryFile();
+    if (!cache || cacheFile !== file) {
+        cache = {};
+        cacheFile = file;
+        if (fs.existsSync(file)) {
+            try {
+                cache = JSON.parse(fs.readFileSync(file, 'utf-8'));
+            } catch (e: any) {
+                // Only a cache: the mints are looked up again
+                console.warn(`[TOKENS] Ignoring unreadable ${file}: ${e.message}`);
+            }
+        }
+    }
+    return cache!;
+}
+
+function save() {
+    if (!fs.existsSync(utils.DATA_DIR)) {
+        fs.mkdirSync(utils.DATA_DIR, { recursive: true });
+    }
+    writeFileAtomic(registryFile(), JSON.stringify(cached(), null, 2));
+}
+
+export function lookup(mint: string): TokenInfo | undefined {
+    return BUILTIN.find(t => t.mint === mint) ?? cached()[mint];
+}
+
+// `hint` names the token when it has no metadata (the route or DRIP_TOKENS_JSON symbol)
+export async function resolveToken(connection: Connection, mint: string, hint?: string): Promise<TokenInfo> {
+    let info = lookup(mint);
+    if (!info) {
+        try {
+            info = await fetchToken(connection, mint, hint);
+        } catch (e: any) {
+            throw new Error(`Cannot resolve token ${mint}: ${e.message}`);
+        }
+        cached()[mint] = info;
+        save();
+        console.log(`[TOKENS] ${info.symbol ?? '?'} ${mint}: decimals=${info.decimals} program=${info.program === TOKEN_2022_PROGRAM ? 'token-2022' : 'token'}`);
+    }
+    utils.registerDecimals(mint, info.decimals);
+    return info;
+}
+
+async function fetchToken(connection: Connection, mint: string, hint?: string): Promise<TokenInfo> {
+    let key: PublicKey;
+    try {
+        key = new PublicKey(mint);
+    } catch (e) {
+        throw new Error('not a valid address');
+    }
+    const account = await connection.getParsedAccountInfo(key, 'confirmed');
+    const data: any = account.value?.data;
+    if (!account.value || data?.parsed?.type !== 'mint') {
+        throw new Error('no token mint account at this address');
+    }
+    const program = account.value.owner.toBase58();
+    // Token-2022 can carry its metadata in the mint itself
+    const embedded = (data.parsed.info.extensions || []).find((e: any) => e.extension === 'tokenMetadata');
+    const symbol = embedded?.state?.symbol || await metadataSymbol(connection, key) || hint || null;
+    return { mint, decimals: data.parsed.info.decimals, program, symbol };
+}
+
+// Symbol from the Metaplex metadata account; null when there is none (it is only a label)
+async function metadataSymbol(connection: Connection, mint: PublicKey): Promise<string | null> {
+    try {
+        const programId = new PublicKey(METADATA_PROGRAM);
+        const [address] = PublicKey.findProgramAddressSync([Buffer.from('metadata'), programId.toBuffer(), mint.toBuffer()], programId);
+        const account = await connection.getAccountInfo(address, 'confirmed');
+        if (!account) return null;
+        // key (1), update authority (32), mint (32), then borsh strings name and symbol (u32 length, NUL padded)
+        const data = account.data;
+        const symbolAt = 65 + 4 + data.readUInt32LE(65);
+        const symbol = data.subarray(symbolAt + 4, symbolAt + 4 + data.readUInt32LE(symbolAt)).toString('utf8').replace(/\0/g, '').trim();
+        return symbol || null;
+    } catch (e) {
+        return null;
+    }
+}
+
+// "FOO-USDC" -> "FOO"
+function routeSymbol(routeName: string): string | undefined {
+    return routeName.split('-').find(part => part.toUpperCase() !== 'USDC');
+}
+
+// Every mint the config trades, before the first leg. Decimals written in
+// DRIP_TOKENS_JSON must agree with the mint account.
+export async function resolveConfig(connection: Connection, config: DripConfig): Promise<void> {
+    for (const route of config.routes) {
+        await resolveToken(connection, route.usdcMint);
+        await resolveToken(connection, route.tokenMint, routeSymbol(route.name));
+    }
+    for (const t of config.tokens) {
+        const info = await resolveToken(connection, t.mint, t.symbol);
+        if (info.decimals !== t.decimals) {
+            throw new Error(`DRIP_TOKENS_JSON gives ${t.symbol} (${t.mint}) ${t.decimals} decimals, the mint account has ${info.decimals}`);
+        }
+    }
+}
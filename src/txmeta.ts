@@ -0,0 +1,118 @@
+
+import { Connection, VersionedTransactionResponse } from '@solana/web3.js';
+import * as utils from './utils';
+
+const WSOL_MINT = 'So11111111111111111111111111111111111111112';
+const LAMPORTS_PER_SIGNATURE = 5000;
+
+export interface LegFees {
+    baseLamports: number;
+    priorityLamports: number;
+    rentPaidLamports: number;     // Token accounts opened for the owner (recoverable on close)
+    rentRefundedLamports: number; // Token accounts of the owner closed by this tx
+}
+
+export interface TxInfo {
+    slot: number;
+    feeLamports: number;
+    tx: VersionedTransactionResponse;
+}
+
+// getTransaction can lag getSignatureStatuses by a few slots on some RPCs,
+// so poll briefly before giving up. Returns null if the meta never shows up.
+export async function fetchTxInfo(connection: Connection, signature: string, attempts: number = 5): Promise<TxInfo | null> {
+    for (let i = 0; i < attempts; i++) {
+        try {
+            const tx = await connection.getTransaction(signature, {
+                commitment: 'confirmed',
+                maxSupportedTransactionVersion: 0
+            });
+            if (tx && tx.meta) {
+                return { slot: tx.slot, feeLamports: tx.meta.fee, tx };
+            }
+        } catch (e) {
+            // Transient RPC error, retry below
+        }
+        await utils.sleep(1000);
+    }
+    return null;
+}
+
+function accountIndex(info: TxInfo, owner: string): number {
+    const keys = info.tx.transaction.message.getAccountKeys({
+        accountKeysFromLookups: info.tx.meta?.loadedAddresses
+    });
+    for (let i = 0; i < keys.length; i++) {
+        if (keys.get(i)?.toBase58() === owner) return i;
+    }
+    return -1;
+}
+
+function splDelta(info: TxInfo, owner: string, mint: string): bigint {
+    const meta = info.tx.meta!;
+    const sum = (balances: typeof meta.preTokenBalances) => (balances || [])
+        .filter(b => b.owner === owner && b.mint === mint)
+        .reduce((acc, b) => acc + BigInt(b.uiTokenAmount.amount), 0n);
+    return sum(meta.postTokenBalances) - sum(meta.preTokenBalances);
+}
+
+// Fee split and rent movements of the owner's token accounts.
+// Accounts opened and closed within the same tx (the temporary WSOL account
+// used by wrapAndUnwrapSol) start and end at 0 lamports and are not counted.
+export function legFees(info: TxInfo, owner: string): LegFees {
+    const meta = info.tx.meta!;
+    const baseLamports = info.tx.transaction.signatures.length * LAMPORTS_PER_SIGNATURE;
+    const fees: LegFees = {
+        baseLamports,
+        priorityLamports: Math.max(0, meta.fee - baseLamports),
+        rentPaidLamports: 0,
+        rentRefundedLamports: 0
+    };
+
+    const ownedIdx = new Set<number>();
+    for (const b of [...(meta.preTokenBalances || []), ...(meta.postTokenBalances || [])]) {
+        if (b.owner === owner) ownedIdx.add(b.accountIndex);
+    }
+    ownedIdx.forEach(idx => {
+        const pre = meta.preBalances[idx];
+        const post = meta.postBalances[idx];
+        if (pre === 0 && post > 0) {
+            fees.rentPaidLamports += post;
+        } else if (pre > 0 && post === 0) {
+            // A closed WSOL account also releases its wrapped SOL, which is a fill, not rent
+            const wrapped = (meta.preTokenBalances || [])
+                .filter(b => b.accountIndex === idx && b.mint === WSOL_MINT)
+                .reduce((acc, b) => acc + Number(b.uiTokenAmount.amount), 0);
+            fees.rentRefundedLamports += pre - wrapped;
+        }
+    });
+
+    return fees;
+}
+
+// Net change of `mint` held by `owner` caused by this transaction, in raw units.
+// For SOL this is native lamports with the fee and token-account rent taken
+// back out (neither is part of the fill), plus any persistent WSOL account.
+export function tokenDelta(info: TxInfo, owner: string, mint: string): bigint {
+    const meta = info.tx.meta!;
+    if (mint !== WSOL_MINT) {
+        return splDelta(info, owner, mint);
+    }
+
+    const idx = accountIndex(info, owner);
+    let native = 0n;
+    if (idx >= 0) {
+        native = BigInt(meta.postBalances[idx]) - BigInt(meta.preBalances[idx]);
+        if (idx === 0) { // Fee payer
+            const fees = legFees(info, owner);
+            native += BigInt(meta.fee) + BigInt(fees.rentPaidLamports) - BigInt(fees.rentRefundedLamports);
+        }
+    }
+    return native + splDelta(info, owner, mint);
+}
+
+// Positive when the fill beat the quote
+export function diffBps(quoted: bigint, actual: bigint): number {
+    if (quoted === 0n) return 0;
+    return Number((actual - quoted) * 10000n) / Number(quoted);
+}
@@ -1,24 +1,122 @@
 
+import type { StatsSnapshot } from './stats';
+import type { LedgerEntry } from './ledger';
+
+// Time between BUY and SELL; see hold.ts
+export interface HoldPolicy {
+  minSec: number;               // Take-profit is not taken before this
+  maxSec: number;               // Each position's forced-SELL time is drawn from [minSec, maxSec]
+  takeProfitBps: number | null; // Exit once the quote value is this far above the BUY cost
+  stopLossBps: number | null;   // Exit once the quote value is this far below the BUY cost
+  pollSec: number;              // How often the position is re-quoted while held
+}
+
 export interface Route {
   name: string;      // e.g. "SOL-USDC"
   tokenMint: string; // The volatile token
   usdcMint: string;  // The stable token (USDC)
+  hold?: HoldPolicy | null; // Overrides DripConfig.hold; null = sell immediately
+}
+
+// Entry of DRIP_TOKENS_JSON: the token pool of anchor_roundtrip and tri_token
+export interface TokenSpec {
+  mint: string;
+  decimals: number;
+  symbol: string;   // Log label; config fills in a known symbol or the mint prefix
+}
+
+// Built-in strategies, see strategies/index.ts
+export type DripMode = 'multi_route' | 'anchor_roundtrip' | 'alternating' | 'tri_token';
+
+export interface PriorityFeeConfig {
+  mode: 'none' | 'fixed' | 'auto' | 'percentile';
+  microLamports: number; // fixed price per CU (also the percentile fallback)
+  maxLamports: number;   // cap on the total priority fee per transaction
+  percentile: number;    // percentile of recent fees on the route's accounts
+  escalation: number;    // multiplier applied per retry
+}
+
+export interface SlippagePolicy {
+  baseBps: number; // First attempt
+  stepBps: number; // Added after each slippage failure
+  maxBps: number;
+}
+
+export interface RetryConfig {
+  buy: SlippagePolicy;
+  sell: SlippagePolicy; // Escalates harder: a failed SELL leaves a position open
+  backoffMaxSec: number; // Cap on the exponential rate-limit backoff
+}
+
+// Stop the run once round trips have lost this much; null = no limit. See budget.ts
+export interface LossBudget {
+  runUsdc: number | null;   // Realized loss of this run
+  dayUsdc: number | null;   // Realized loss of this wallet today (UTC), across runs
+  cycleBps: number | null;  // Loss of a single round trip, in bps of its cost
+}
+
+// Keep the wallet's SOL above a floor by buying it with USDC between cycles; see MultiRouteDrip.topUpGas
+export interface GasTopUp {
+  floorSol: number;   // Top up when the SOL balance is below this
+  targetSol: number;  // Buy back up to this balance
+  maxUsdc: number;    // Never spend more USDC than this on one top-up
+}
+
+// Telegram notifications (legacy TG_* variables); see notify.ts
+export interface TelegramConfig {
+  botToken: string;
+  chatId: string;
+  timeoutMs: number;
+  maxRetry: number;
+}
+
+// When trades may start; see pacing.ts
+export interface PacingProfile {
+  hourWeights: number[]; // 24 relative weights, hour 0 first, in the profile's clock
+  quietWindows: { startMin: number; endMin: number }[]; // Minutes after midnight; end-exclusive, may wrap
+  utcOffsetMin: number;  // Profile clock minus UTC
 }
 
 export interface DripConfig {
+  mode: DripMode;
   routes: Route[];
+  tokens: TokenSpec[];     // DRIP_TOKENS_JSON (tri_token pool; anchor_roundtrip routes are derived from it)
+  startDirection: 'SOL_TO_USDC' | 'USDC_TO_SOL'; // First leg of the alternating mode
+  triTokenFloor: number;   // tri_token: fraction of the equal USD share a token never trades below
   totalTrades: number;
+  volumeTargetUsd: number | null; // Trade to this USD notional instead of totalTrades legs; see volume.ts
+  volumeTolerance: number;        // Fraction of volumeTargetUsd the run may stop short of
   windowSec: number;
   usdcMin: number;
   usdcMax: number;
   dryRun: boolean;
   minDelaySec: number;
+  estimatedExecMs: number; // Expected duration of two legs (one BUY+SELL cycle), reserved by the scheduler
+  safetyFactor: number;    // Fraction of the spare time per cycle the scheduler may spend waiting
+  adaptiveExec: boolean;   // Replace estimatedExecMs with the duration learned per RPC endpoint
+  pacing: PacingProfile | null; // Time-of-day weighting of delays; null = uniform
+  hold: HoldPolicy | null;      // Default hold between BUY and SELL; null = sell immediately
   failBackoffSec: number;
   rpcUrl: string;
   mnemonic: string;
   jupApiKey?: string;
   maxBuyRetries: number;
   maxSellRetries: number;
+  resume: boolean; // Continue an interrupted run (window, leg count, stats) instead of restarting
+  priorityFee: PriorityFeeConfig;
+  simulate: boolean; // Simulate before sending and walk the route fallback ladder
+  retry: RetryConfig;
+  lossBudget: LossBudget;
+  solBufferSol: number;          // SOL never spent by a leg, left for fees
+  gasTopUp: GasTopUp | null;     // null = no automatic top-up
+  preflight: 'scale' | 'strict' | 'off'; // Short of funds at start: shrink the plan, refuse, or don't check
+  telegram: TelegramConfig | null; // null = notifications off
+  seed: number; // RNG seed for routes, amounts and delays (DRIP_SEED, random if unset)
+}
+
+export interface WalletEntry {
+  id: string;       // Label used in logs and state file names
+  mnemonic: string;
 }
 
 export enum CycleState {
@@ -27,6 +125,24 @@ export enum CycleState {
   SOLD = 'SOLD'      // Sold token, cycle complete (transient state before next INIT?)
 }
 
+// Leg fields known before the swap runs; the rest is filled in when it settles
+export type LegDraft = Pick<LedgerEntry, 'route' | 'side' | 'inputMint' | 'outputMint' | 'inAmountRaw' | 'slippageBps' | 'priorityFee' | 'attempt' | 'recovery' | 'roundTrip'>;
+
+// A signed swap persisted before its first broadcast. While set, its outcome is
+// unknown and no other swap may be sent for this wallet.
+export interface PendingTx {
+  signature: string;
+  rawTx: string; // base64 signed transaction, rebroadcast until it lands or expires
+  lastValidBlockHeight: number;
+  sentAt: number;
+  quotedOutAmountRaw: string;
+  leg: LegDraft;
+  standalone?: boolean;     // Strategy leg that opens no position; absent = round-trip BUY/SELL
+  usdcValue?: number;       // Notional of a SWAP leg for the stats (it moves no USDC)
+  topUp?: boolean;          // Gas top-up: recorded apart from the strategy legs
+  unwind?: boolean;         // `unwind` SELL: closes what it sold but counts as no leg
+}
+
 // Persisted state structure
 export interface DripState {
   version: number;
@@ -48,4 +164,34 @@ export interface DripState {
   lastBuyTx: string | null;
   lastBuyTime: number | null;
   lastBuyAmount: string | null; // Token amount bought (raw units), used for Sell leg reference
+  lastBuyCostRaw?: string | null; // USDC spent on it (raw), basis for take-profit / stop-loss
+  volumeUsd?: number;             // USD notional of this run's legs so far (volume target progress)
+  lossUsdc?: number;              // Realized round-trip loss of this run (loss budget)
+  holdMinUntil?: number | null;   // Take-profit allowed from this time
+  holdUntil?: number | null;      // Forced SELL time; null/absent = sell immediately
+
+  pendingTx?: PendingTx | null;
+
+  // Run progress, persisted so --resume can continue the same plan
+  stats?: StatsSnapshot;
+  startBalances?: { usdc: number; sol: number; price: number };
+}
+
+// Per-wallet outcome returned by MultiRouteDrip.run(), aggregated by the orchestrator
+export interface WalletRunResult {
+  walletId: string;
+  address: string;
+  status: 'SUCCESS' | 'FAILED';
+  error?: string;
+  stopReason?: string; // Stopped early by a loss budget or a signal (status stays SUCCESS)
+  targetLegs: number;
+  completedLegs: number;
+  usdcIn: number;
+  usdcOut: number;
+  feeLamports: number; // Base + priority fees of the recorded legs
+  startUsdc: number;
+  endUsdc: number;
+  startSol: number;
+  endSol: number;
+  elapsedMs: number;
 }
@@ -0,0 +1,77 @@
+
+import { Connection, PublicKey } from '@solana/web3.js';
+import { CycleState, DripConfig, DripState, Route } from './types';
+import * as ledger from './ledger';
+import * as wallet from './wallet';
+import * as utils from './utils';
+import { bufferLamports } from './preflight';
+
+// Attribution for the `unwind` command. A route token is the bot's if the ledger
+// shows round-trip BUYs of it that no SELL took back, or if state has it as the
+// open position. Anything else in the wallet is treated as the owner's and left
+// alone. Only entries marked roundTrip count: tri_token and alternating legs
+// (BUY/SELL/SWAP alike) and TOPUPs keep inventory on purpose, and older ledger
+// lines cannot tell a round trip from a standalone leg.
+
+export interface Holding {
+    route: Route;
+    balanceRaw: bigint;     // Spendable: SOL keeps its fee buffer
+    ledgerNetRaw: bigint;   // Bought minus sold by real, successful legs (>= 0)
+    stateOpenRaw: bigint;   // state.lastBuyAmount when this is the open BOUGHT position
+    botRaw: bigint;         // Attributed to the bot, at most balanceRaw
+    preExistingRaw: bigint; // balanceRaw - botRaw
+    unknownFills: number;   // BUYs with no recorded fill; their amounts are not attributed
+}
+
+// The open position is also in the ledger, so the two sources overlap rather than add up
+export function attribute(route: Route, balanceRaw: bigint, entries: ledger.LedgerEntry[], state: DripState): Holding {
+    let net = 0n;
+    let unknownFills = 0;
+    for (const e of entries) {
+        if (e.status !== 'SUCCESS' || e.dryRun || !e.roundTrip) continue;
+        if (e.side === 'BUY' && e.outputMint === route.tokenMint) {
+            if (e.outAmountRaw === null) unknownFills++;
+            else net += BigInt(e.outAmountRaw);
+        } else if (e.side === 'SELL' && e.inputMint === route.tokenMint) {
+            net -= BigInt(e.inAmountRaw);
+        }
+    }
+    const ledgerNetRaw = net > 0n ? net : 0n;
+    const stateOpenRaw = state.cycleState === CycleState.BOUGHT && state.currentRouteTokenMint === route.tokenMint && state.lastBuyAmount
+        ? BigInt(state.lastBuyAmount) : 0n;
+    const claimed = ledgerNetRaw > stateOpenRaw ? ledgerNetRaw : stateOpenRaw;
+    const botRaw = claimed < balanceRaw ? claimed : balanceRaw;
+    return { route, balanceRaw, ledgerNetRaw, stateOpenRaw, botRaw, preExistingRaw: balanceRaw - botRaw, unknownFills };
+}
+
+// One holding per configured route mint (routes sharing a mint are scanned once)
+export async function scanHoldings(connection: Connection, owner: PublicKey, config: DripConfig, state: DripState): Promise<Holding[]> {
+    const address = owner.toBase58();
+    const entries = ledger.readLedger(e => e.wallet === address);
+    const seen = new Set<string>();
+    const holdings: Holding[] = [];
+    for (const route of config.routes) {
+        if (seen.has(route.tokenMint)) continue;
+        seen.add(route.tokenMint);
+        const balance = await wallet.getSwapTokenBalance(connection, owner, route.tokenMint, bufferLamports(config));
+        holdings.push(attribute(route, balance, entries, state));
+    }
+    return holdings;
+}
+
+export function describeHolding(h: Holding): string {
+    const ui = (raw: bigint) => utils.toUiAmount(raw, utils.getDecimals(h.route.tokenMint));
+    const sources = `ledger=${ui(h.ledgerNetRaw)}${h.stateOpenRaw > 0n ? ` state=${ui(h.stateOpenRaw)}` : ''}`;
+    const unknown = h.unknownFills > 0 ? ` (${h.unknownFills} BUY(s) without a recorded fill not counted)` : '';
+    return `${h.route.name}: balance=${ui(h.balanceRaw)} bot=${ui(h.botRaw)} pre-existing=${ui(h.preExistingRaw)} [${sources}]${unknown}`;
+}
+
+export interface UnwindResult {
+    walletId: string;
+    address: string;
+    status: 'SUCCESS' | 'FAILED';
+    error?: string;
+    preview: boolean;
+    sells: number;    // Holdings sold (or, in a preview, that would be)
+    usdcOut: number;  // Received, or quoted in a preview
+}
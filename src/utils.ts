@@ -1,14 +1,35 @@
 
+import * as path from 'path';
+
+// Runtime data (state, ledger) lives under ./data of the working directory
+// unless DRIP_DATA_DIR points elsewhere (e.g. a scratch dir for the offline harness).
+// Files under it are located on use, never at load, so setDataDir() moves them all.
+export let DATA_DIR = path.resolve(process.env.DRIP_DATA_DIR || path.join(process.cwd(), 'data'));
+
+// The offline harness gives every scenario a fresh data dir
+export function setDataDir(dir: string) {
+    DATA_DIR = path.resolve(dir);
+}
+
+// Decimals by mint, filled by the token registry (tokens.ts) before any amount is sized
 export const KNOWN_DECIMALS: Record<string, number> = {
     'So11111111111111111111111111111111111111112': 9, // WSOL/SOL
     'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v': 6, // USDC
     'JUPyiwrYJFskUPiHa7hkeR8VUtAeFoSYbKedZNsDvCN': 6, // JUP
-    'EKpQGSJtjMFqKZ9KQanSqYXRcF8fBopzLHYxdM65zcjm': 9, // WIF
     'DezXAZ8z7PnrnRJjz3wXBoRgixCa6xjnB7YaB1pPB263': 5  // BONK
 };
 
+// Tokens configured with their decimals (DRIP_TOKENS_JSON) are added at config load
+export function registerDecimals(mint: string, decimals: number) {
+    KNOWN_DECIMALS[mint] = decimals;
+}
+
 export function getDecimals(mint: string): number {
-    return KNOWN_DECIMALS[mint] || 6; // Default to 6 if unknown
+    const decimals = KNOWN_DECIMALS[mint];
+    if (decimals === undefined) {
+        throw new Error(`Unknown decimals for mint ${mint}: resolve it through the token registry first`);
+    }
+    return decimals;
 }
 
 export function toUiAmount(raw: bigint | string, decimals: number): number {
@@ -22,6 +43,28 @@ export function toRawAmount(ui: number, decimals: number): bigint {
     return BigInt(Math.round(ui * Math.pow(10, decimals)));
 }
 
-export function sleep(ms: number) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+let sleepImpl = (ms: number) => new Promise<void>(resolve => setTimeout(resolve, ms));
+
+export function sleep(ms: number): Promise<void> {
+    return sleepImpl(ms);
+}
+
+// All engine waits go through sleep(); the offline harness swaps in a virtual clock
+export function setSleepImpl(impl: (ms: number) => Promise<void>) {
+    sleepImpl = impl;
+}
+
+const BASE58_ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+
+// Transaction signatures are base58; web3.js does not export its encoder
+export function encodeBase58(bytes: Uint8Array): string {
+    let n = 0n;
+    for (const b of bytes) n = (n << 8n) + BigInt(b);
+    let out = '';
+    while (n > 0n) {
+        out = BASE58_ALPHABET[Number(n % 58n)] + out;
+        n /= 58n;
+    }
+    for (let i = 0; i < bytes.length && bytes[i] === 0; i++) out = '1' + out;
+    return out;
 }
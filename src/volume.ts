@@ -0,0 +1,48 @@
+
+import { DripConfig, DripState } from './types';
+import { Rng } from './rng';
+import { legsPerCycle } from './strategies';
+
+// Volume-target runs (DRIP_VOLUME_TARGET_USD): instead of a fixed leg count the run
+// trades until the USD notional of its legs (USDC in for a BUY, USDC out for a
+// SELL, the priced estimate for a SWAP) reaches the target within tolerance.
+// state.volumeUsd is persisted with each leg, so a resumed run knows what remains.
+
+function avgLegUsd(config: DripConfig): number {
+    return (config.usdcMin + config.usdcMax) / 2;
+}
+
+export function remainingUsd(config: DripConfig, state: DripState): number {
+    return Math.max(0, config.volumeTargetUsd! - (state.volumeUsd ?? 0));
+}
+
+// Close enough: the rest is within the tolerance band
+export function targetReached(config: DripConfig, state: DripState): boolean {
+    return remainingUsd(config, state) <= config.volumeTargetUsd! * config.volumeTolerance;
+}
+
+// Legs still expected at the average leg size, in whole cycles; drives the scheduler and [LEG i/N]
+export function remainingLegs(config: DripConfig, state: DripState): number {
+    if (targetReached(config, state)) return 0;
+    const perCycle = legsPerCycle(config.mode);
+    const cycles = Math.ceil(remainingUsd(config, state) / (avgLegUsd(config) * perCycle));
+    return cycles * perCycle;
+}
+
+// Leg count of a whole run, for the planner
+export function estimatedLegs(config: DripConfig): number {
+    return remainingLegs(config, { volumeUsd: 0 } as DripState);
+}
+
+// Size of the next leg in USD: a draw from [usdcMin, usdcMax], trimmed near the end so
+// the run lands on the target. A round trip's SELL repeats its BUY notional, so the
+// remainder is split over the cycle's legs. Never below usdcMin, so a run may overshoot
+// by less than one minimum leg.
+export function nextLegUsd(config: DripConfig, state: DripState, rng: Rng): number {
+    const draw = rng() * (config.usdcMax - config.usdcMin) + config.usdcMin;
+    const perLeg = remainingUsd(config, state) / legsPerCycle(config.mode);
+    if (perLeg <= config.usdcMax) return Math.max(config.usdcMin, perLeg);
+    // Don't leave a remainder smaller than a minimum leg
+    if (perLeg - draw < config.usdcMin) return Math.max(config.usdcMin, perLeg - config.usdcMin);
+    return draw;
+}
@@ -19,6 +19,17 @@ export async function getBalance(connection: Connection, pubkey: PublicKey): Pro
 }
 
 export async function getTokenBalance(connection: Connection, owner: PublicKey, mint: string): Promise<{ amount: bigint, decimals: number }> {
+    try {
+        return await readTokenBalance(connection, owner, mint);
+    } catch (e) {
+        console.error('[WALLET] Failed to get token balance', e);
+        return { amount: 0n, decimals: 6 };
+    }
+}
+
+// Same as getTokenBalance, but an RPC error throws instead of reading as 0.
+// For decisions a missing balance must not make, e.g. refusing a wallet in preflight.
+export async function readTokenBalance(connection: Connection, owner: PublicKey, mint: string): Promise<{ amount: bigint, decimals: number }> {
     const mintPubkey = new PublicKey(mint);
 
     // Helper to find ATA
@@ -26,33 +37,33 @@ export async function getTokenBalance(connection: Connection, owner: PublicKey,
     // OR just use getTokenAccountsByOwner + getTokenAccountBalance. 
     // Existing code used getTokenAccountsByOwner then getTokenAccountBalance.
 
-    try {
-        const resp = await connection.getTokenAccountsByOwner(owner, { mint: mintPubkey }, 'confirmed');
-        if (resp.value.length === 0) {
-            return { amount: 0n, decimals: 6 }; // Default to 6 if unknown, but amount 0 matters most
-        }
-        const ata = resp.value[0].pubkey;
-        const bal = await connection.getTokenAccountBalance(ata, 'confirmed');
-        return {
-            amount: BigInt(bal.value.amount),
-            decimals: bal.value.decimals
-        };
-    } catch (e) {
-        console.error('[WALLET] Failed to get token balance', e);
-        return { amount: 0n, decimals: 6 };
+    const resp = await connection.getTokenAccountsByOwner(owner, { mint: mintPubkey }, 'confirmed');
+    if (resp.value.length === 0) {
+        return { amount: 0n, decimals: 6 }; // Default to 6 if unknown, but amount 0 matters most
     }
+    const ata = resp.value[0].pubkey;
+    const bal = await connection.getTokenAccountBalance(ata, 'confirmed');
+    return {
+        amount: BigInt(bal.value.amount),
+        decimals: bal.value.decimals
+    };
+}
+
+// Whether the owner already has a token account for mint (a leg receiving it would otherwise pay rent)
+export async function hasTokenAccount(connection: Connection, owner: PublicKey, mint: string): Promise<boolean> {
+    const resp = await connection.getTokenAccountsByOwner(owner, { mint: new PublicKey(mint) }, 'confirmed');
+    return resp.value.length > 0;
 }
 
 // Unified helper for trading: handle SOL vs SPL
 // For SOL, we want usable balance (native - fees)
-export async function getSwapTokenBalance(connection: Connection, owner: PublicKey, mint: string): Promise<bigint> {
+export async function getSwapTokenBalance(connection: Connection, owner: PublicKey, mint: string, bufferLamports: bigint = 10_000_000n): Promise<bigint> {
     const WSOL_MINT = 'So11111111111111111111111111111111111111112';
 
     if (mint === WSOL_MINT) {
         const bal = await getBalance(connection, owner);
-        // Leave 0.01 SOL for fees
-        const buffer = 10_000_000n;
-        const usable = bal - buffer;
+        // Leave the buffer (0.01 SOL unless DRIP_SOL_BUFFER says otherwise) for fees
+        const usable = bal - bufferLamports;
         return usable > 0n ? usable : 0n;
     } else {
         const bal = await getTokenBalance(connection, owner, mint);